@@ -9,6 +9,17 @@
 // AUTHENTICATION
 // ======================
 
+/**
+ * Logged-in admin as returned by /api/auth/check
+ * ({ id, username, role, permissions })
+ */
+let currentAdmin = null;
+
+/**
+ * CSRF token of the session, sent on every POST/PUT/PATCH/DELETE
+ */
+let csrfToken = null;
+
 /**
  * Check if user is authenticated
  * @returns {Promise<boolean>}
@@ -19,6 +30,8 @@ async function checkAuth() {
             credentials: 'include'
         });
         const data = await response.json();
+        currentAdmin = data.admin || null;
+        csrfToken = data.csrfToken || null;
         return data.authenticated;
     } catch (error) {
         console.error('Auth check failed:', error);
@@ -26,16 +39,60 @@ async function checkAuth() {
     }
 }
 
+/**
+ * Check if the logged-in admin has a permission (news, pages, media, messages, memberships, admins)
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(permission) {
+    return !!currentAdmin && (currentAdmin.permissions || []).includes(permission);
+}
+
+/**
+ * Hide every element marked with data-permission that the admin's role does not grant
+ */
+function applyPermissions() {
+    document.querySelectorAll('[data-permission]').forEach(el => {
+        if (!hasPermission(el.dataset.permission)) {
+            el.style.display = 'none';
+        }
+    });
+}
+
 /**
  * Require authentication - redirect to login if not authenticated
+ * @param {string} [permission] - also redirect to the dashboard if this permission is missing
  */
-async function requireAuth() {
+async function requireAuth(permission) {
     const isAuth = await checkAuth();
     if (!isAuth) {
         window.location.href = '/admin/';
+        return;
+    }
+    applyPermissions();
+    if (currentAdmin.mustChangePassword && !isDashboardPage()) {
+        // The password form lives on the dashboard
+        window.location.href = '/admin/dashboard.html';
+        return;
+    }
+    if (permission && !hasPermission(permission)) {
+        window.location.href = '/admin/dashboard.html';
     }
 }
 
+function isDashboardPage() {
+    return window.location.pathname.endsWith('/dashboard.html') || window.location.pathname.endsWith('/dashboard');
+}
+
+/**
+ * Headers for a state-changing request made with fetch() directly
+ * @param {Object} [headers] - extra headers
+ * @returns {Object}
+ */
+function csrfHeaders(headers = {}) {
+    return csrfToken ? { ...headers, 'X-CSRF-Token': csrfToken } : headers;
+}
+
 /**
  * Logout user
  */
@@ -43,6 +100,7 @@ async function logout() {
     try {
         await fetch('/api/auth/logout', {
             method: 'POST',
+            headers: csrfHeaders(),
             credentials: 'include'
         });
     } catch (error) {
@@ -194,6 +252,11 @@ function debounce(func, wait) {
  * @returns {Promise<Object>}
  */
 async function apiRequest(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    if (method !== 'GET' && !csrfToken) {
+        await checkAuth();
+    }
+
     const defaultOptions = {
         credentials: 'include',
         headers: {
@@ -206,6 +269,7 @@ async function apiRequest(url, options = {}) {
         ...options,
         headers: {
             ...defaultOptions.headers,
+            ...(method !== 'GET' ? csrfHeaders() : {}),
             ...options.headers
         }
     };
@@ -215,6 +279,9 @@ async function apiRequest(url, options = {}) {
         const data = await response.json();
 
         if (!response.ok) {
+            if (data.passwordChangeRequired && !isDashboardPage()) {
+                window.location.href = '/admin/dashboard.html';
+            }
             throw new Error(data.message || 'Request failed');
         }
 
@@ -284,6 +351,99 @@ async function apiPatch(url, data = {}) {
     });
 }
 
+// ======================
+// BILINGUAL CONTENT
+// ======================
+
+function hasTranslationValue(value) {
+    return Array.isArray(value) ? value.length > 0 : !!(value && String(value).trim());
+}
+
+/**
+ * Fields of an item that have Arabic text but no French translation
+ * @param {Object} item
+ * @param {string[]} fields - base names, e.g. ['title', 'content']
+ * @returns {string[]}
+ */
+function getMissingTranslations(item, fields) {
+    return fields.filter(field =>
+        hasTranslationValue(item[`${field}_ar`]) && !hasTranslationValue(item[`${field}_fr`])
+    );
+}
+
+/**
+ * Badge shown in lists when the French translation is incomplete
+ * @param {Object} item
+ * @param {string[]} fields
+ * @returns {string}
+ */
+function translationBadge(item, fields) {
+    return getMissingTranslations(item, fields).length > 0
+        ? '<span class="translation-missing" title="الترجمة الفرنسية غير مكتملة">FR ناقصة</span>'
+        : '';
+}
+
+/**
+ * Show an indicator while any French input of a form is empty
+ * @param {string} indicatorId
+ * @param {string[]} inputIds
+ * @returns {Function} call it after filling the form programmatically
+ */
+function watchTranslations(indicatorId, inputIds) {
+    const update = () => {
+        const missing = inputIds.some(id => !hasTranslationValue(document.getElementById(id).value));
+        document.getElementById(indicatorId).style.display = missing ? 'inline-block' : 'none';
+    };
+    inputIds.forEach(id => document.getElementById(id).addEventListener('input', update));
+    return update;
+}
+
+// ======================
+// AUDIT LOG LABELS
+// ======================
+
+const AUDIT_ACTION_LABELS = {
+    'create': 'إضافة',
+    'update': 'تعديل',
+    'delete': 'حذف',
+    'publish': 'نشر',
+    'unpublish': 'إلغاء النشر',
+    'scheduled_publish': 'نشر مجدول',
+    'scheduled_expire': 'انتهاء مدة العرض',
+    'upload': 'رفع ملف',
+    'mark_read': 'تعليم كمقروءة',
+    'mark_unread': 'تعليم كغير مقروءة',
+    'mark_spam': 'نقل إلى الرسائل المزعجة',
+    'mark_not_spam': 'إخراج من الرسائل المزعجة',
+    'reply': 'رد على رسالة',
+    'assign': 'إسناد',
+    'archive': 'أرشفة',
+    'unarchive': 'إخراج من الأرشيف',
+    'export': 'تصدير',
+    'status_change': 'تغيير الحالة',
+    'add_note': 'إضافة ملاحظة',
+    'reset_password': 'إعادة تعيين كلمة المرور',
+    'change_password': 'تغيير كلمة المرور',
+    'unlock': 'إلغاء القفل',
+    'enable_2fa': 'تفعيل التحقق بخطوتين',
+    'disable_2fa': 'إيقاف التحقق بخطوتين',
+    'reset_2fa': 'إعادة تعيين التحقق بخطوتين',
+    'fix_bucket': 'إصلاح التخزين',
+    'reseed': 'إعادة البيانات الافتراضية'
+};
+
+const AUDIT_ENTITY_LABELS = {
+    'news': 'خبر',
+    'page_section': 'قسم صفحة',
+    'hero_slide': 'شريحة',
+    'specialty': 'تخصص',
+    'file': 'ملف',
+    'message': 'رسالة',
+    'membership': 'طلب عضوية',
+    'admin': 'مشرف',
+    'maintenance': 'صيانة'
+};
+
 // ======================
 // MOBILE MENU
 // ======================
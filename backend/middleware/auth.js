@@ -3,12 +3,73 @@
  * Protects admin routes and manages sessions
  */
 
+const { getClient } = require('../models/database');
+const { hasValidCsrfToken, csrfRejected } = require('./csrf');
+
+/**
+ * Admin roles and the resources each one may manage
+ * - super_admin: everything, including other admin accounts and the audit log
+ * - editor: news, page content and media
+ * - moderator: contact messages and membership applications
+ */
+const ROLE_PERMISSIONS = {
+    super_admin: ['news', 'pages', 'media', 'messages', 'memberships', 'admins', 'audit'],
+    editor: ['news', 'pages', 'media'],
+    moderator: ['messages', 'memberships']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission
+ * @returns {boolean}
+ */
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+/**
+ * Error returned by every admin API while the account must change its password
+ */
+function passwordChangeRequired(res) {
+    return res.status(403).json({
+        success: false,
+        passwordChangeRequired: true,
+        message: 'You must change your password before continuing.'
+    });
+}
+
+/**
+ * Check if user is logged in, even if a password change is still pending
+ * Use this only on logout and change-password
+ */
+function isLoggedIn(req, res, next) {
+    if (req.session && req.session.adminId) {
+        if (!hasValidCsrfToken(req)) {
+            return csrfRejected(res);
+        }
+        return next();
+    }
+    res.status(401).json({
+        success: false,
+        message: 'Unauthorized. Please login first.'
+    });
+}
+
 /**
  * Check if user is authenticated
  * Use this middleware on routes that require login
  */
 function isAuthenticated(req, res, next) {
     if (req.session && req.session.adminId) {
+        if (!hasValidCsrfToken(req)) {
+            return csrfRejected(res);
+        }
+        if (req.session.mustChangePassword) {
+            return passwordChangeRequired(res);
+        }
         // User is logged in, continue to the route
         return next();
     }
@@ -36,7 +97,94 @@ function isNotAuthenticated(req, res, next) {
     }
 }
 
+/**
+ * Load the logged-in admin from the database so that role changes,
+ * disabled accounts and password resets take effect immediately, not at
+ * the next login. Also checks the CSRF token. Sets req.admin on success.
+ */
+async function loadAdmin(req, res) {
+    if (!req.session || !req.session.adminId) {
+        res.status(401).json({ success: false, message: 'Unauthorized. Please login first.' });
+        return null;
+    }
+
+    if (!hasValidCsrfToken(req)) {
+        csrfRejected(res);
+        return null;
+    }
+
+    const supabase = getClient();
+    const { data: admin, error } = await supabase
+        .from('admins')
+        .select('id, username, role, is_active, must_change_password')
+        .eq('id', req.session.adminId)
+        .single();
+
+    if (error || !admin || !admin.is_active) {
+        req.session.destroy(() => {});
+        res.status(401).json({ success: false, message: 'Account is disabled or no longer exists.' });
+        return null;
+    }
+
+    req.session.adminRole = admin.role;
+    req.session.mustChangePassword = admin.must_change_password;
+
+    if (admin.must_change_password) {
+        passwordChangeRequired(res);
+        return null;
+    }
+
+    req.admin = admin;
+    return admin;
+}
+
+/**
+ * Require one of the given roles
+ * Usage: router.post('/', requireRole('super_admin'), handler)
+ */
+function requireRole(...roles) {
+    return async (req, res, next) => {
+        try {
+            const admin = await loadAdmin(req, res);
+            if (!admin) return;
+
+            if (!roles.includes(admin.role)) {
+                return res.status(403).json({ success: false, message: 'Forbidden. Your role does not allow this action.' });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+/**
+ * Require a permission on a resource (see ROLE_PERMISSIONS)
+ * Usage: router.put('/:id', requirePermission('news'), handler)
+ */
+function requirePermission(permission) {
+    return async (req, res, next) => {
+        try {
+            const admin = await loadAdmin(req, res);
+            if (!admin) return;
+
+            if (!hasPermission(admin.role, permission)) {
+                return res.status(403).json({ success: false, message: 'Forbidden. Your role does not allow this action.' });
+            }
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
 module.exports = {
+    ROLES,
+    ROLE_PERMISSIONS,
+    hasPermission,
+    isLoggedIn,
     isAuthenticated,
-    isNotAuthenticated
+    isNotAuthenticated,
+    requireRole,
+    requirePermission
 };
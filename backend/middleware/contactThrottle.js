@@ -0,0 +1,80 @@
+/**
+ * Contact Form Throttle Middleware
+ * Caps how many contact messages one IP address can send
+ * (a short burst window and a daily window).
+ */
+
+// [window length, submissions allowed in it]
+const WINDOWS = [
+    [10 * 60 * 1000, 3],
+    [24 * 60 * 60 * 1000, 10]
+];
+
+const LONGEST_WINDOW_MS = Math.max(...WINDOWS.map(([windowMs]) => windowMs));
+
+// ip -> timestamps of its accepted submissions, oldest first
+const submissions = new Map();
+
+const cleanupTimer = setInterval(() => {
+    const cutoff = Date.now() - LONGEST_WINDOW_MS;
+    for (const [ip, times] of submissions) {
+        const recent = times.filter(time => time > cutoff);
+        if (recent.length === 0) {
+            submissions.delete(ip);
+        } else {
+            submissions.set(ip, recent);
+        }
+    }
+}, 10 * 60 * 1000);
+cleanupTimer.unref();
+
+function getClientIp(req) {
+    return req.ip || (req.connection && req.connection.remoteAddress) || 'unknown';
+}
+
+/**
+ * Milliseconds before this IP may send another message (0 when it may send now)
+ */
+function getWaitMs(ip) {
+    const times = submissions.get(ip);
+    if (!times) return 0;
+
+    const now = Date.now();
+    let waitMs = 0;
+    for (const [windowMs, limit] of WINDOWS) {
+        const inWindow = times.filter(time => now - time < windowMs);
+        if (inWindow.length >= limit) {
+            // The window frees up when the oldest submission in it leaves
+            waitMs = Math.max(waitMs, inWindow[inWindow.length - limit] + windowMs - now);
+        }
+    }
+    return waitMs;
+}
+
+/**
+ * Reject contact submissions from an IP that has used up its allowance.
+ * The submission is counted when it passes, whatever happens to it next.
+ */
+function contactThrottle(req, res, next) {
+    const ip = getClientIp(req);
+    const waitMs = getWaitMs(ip);
+
+    if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            success: false,
+            message: 'Too many messages sent. Please try again later.',
+            retryAfter
+        });
+    }
+
+    const times = submissions.get(ip) || [];
+    times.push(Date.now());
+    submissions.set(ip, times);
+    next();
+}
+
+module.exports = {
+    contactThrottle
+};
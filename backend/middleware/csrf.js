@@ -0,0 +1,85 @@
+/**
+ * CSRF Middleware
+ * Admin sessions are cookie based, so every state-changing admin request must
+ * carry the session's CSRF token in the X-CSRF-Token header. The token is
+ * handed to the admin panel by GET /api/auth/check.
+ */
+
+const crypto = require('crypto');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const CSRF_HEADER = 'X-CSRF-Token';
+
+/**
+ * Get the CSRF token of the session, creating it on first use
+ * @param {Object} req
+ * @returns {string}
+ */
+function getCsrfToken(req) {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    return req.session.csrfToken;
+}
+
+/**
+ * Check the token of a request; safe methods always pass
+ * @param {Object} req
+ * @returns {boolean}
+ */
+function hasValidCsrfToken(req) {
+    if (SAFE_METHODS.includes(req.method)) return true;
+
+    const expected = req.session && req.session.csrfToken;
+    const given = req.get(CSRF_HEADER);
+    if (!expected || !given) return false;
+
+    const expectedBuf = Buffer.from(expected);
+    const givenBuf = Buffer.from(given);
+    return expectedBuf.length === givenBuf.length && crypto.timingSafeEqual(expectedBuf, givenBuf);
+}
+
+/**
+ * Response for a missing or wrong token
+ */
+function csrfRejected(res) {
+    return res.status(403).json({
+        success: false,
+        csrfInvalid: true,
+        message: 'Invalid or missing CSRF token. Please reload the page.'
+    });
+}
+
+/**
+ * Reject state-changing requests from origins that are not allowed.
+ * Requests without an Origin header (same-origin navigation, curl) and
+ * same-host requests always pass.
+ * @param {string[]} allowedOrigins
+ */
+function checkOrigin(allowedOrigins) {
+    return (req, res, next) => {
+        const origin = req.get('origin');
+        if (SAFE_METHODS.includes(req.method) || !origin) return next();
+
+        let originHost = null;
+        try {
+            originHost = new URL(origin).host;
+        } catch (error) {
+            // Malformed Origin header, treated as foreign
+        }
+
+        if (originHost === req.get('host') || allowedOrigins.includes(origin)) {
+            return next();
+        }
+
+        res.status(403).json({ success: false, message: 'Origin not allowed' });
+    };
+}
+
+module.exports = {
+    CSRF_HEADER,
+    getCsrfToken,
+    hasValidCsrfToken,
+    csrfRejected,
+    checkOrigin
+};
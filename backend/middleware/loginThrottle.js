@@ -0,0 +1,163 @@
+/**
+ * Login Throttle Middleware
+ * Slows down password guessing with per-IP and per-username counters
+ * (exponential backoff) and locks an account after repeated failures.
+ */
+
+const { getClient } = require('../models/database');
+
+// Failures allowed before backoff kicks in
+const FREE_ATTEMPTS_PER_USERNAME = 3;
+const FREE_ATTEMPTS_PER_IP = 10;
+
+// Backoff doubles from 1 second up to 15 minutes
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+
+// Account lockout (stored on the admins row so it survives restarts)
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_DURATION_MS = 15 * 60 * 1000;
+
+// Counters are forgotten after an hour without failures
+const COUNTER_TTL_MS = 60 * 60 * 1000;
+
+// key ('ip:<addr>' or 'user:<name>') -> { failures, lastFailureAt }
+const counters = new Map();
+
+const cleanupTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of counters) {
+        if (now - entry.lastFailureAt > COUNTER_TTL_MS) {
+            counters.delete(key);
+        }
+    }
+}, 10 * 60 * 1000);
+cleanupTimer.unref();
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+function getClientIp(req) {
+    return req.ip || (req.connection && req.connection.remoteAddress) || 'unknown';
+}
+
+/**
+ * Milliseconds the caller must still wait before another attempt on this key
+ */
+function getWaitMs(key, freeAttempts) {
+    const entry = counters.get(key);
+    if (!entry || entry.failures < freeAttempts) return 0;
+
+    const delay = Math.min(BASE_DELAY_MS * Math.pow(2, entry.failures - freeAttempts), MAX_DELAY_MS);
+    return Math.max(0, entry.lastFailureAt + delay - Date.now());
+}
+
+function bumpCounter(key) {
+    const entry = counters.get(key) || { failures: 0, lastFailureAt: 0 };
+    entry.failures += 1;
+    entry.lastFailureAt = Date.now();
+    counters.set(key, entry);
+}
+
+/**
+ * Reject login attempts that arrive before the backoff delay has passed
+ * Use on the login steps, before the password or authentication code is checked
+ */
+function loginThrottle(req, res, next) {
+    const ipWait = getWaitMs(`ip:${getClientIp(req)}`, FREE_ATTEMPTS_PER_IP);
+    // The second login step has no username in the body; use the one awaiting 2FA
+    const pending = req.session && req.session.pendingTwoFactor;
+    const username = (req.body && req.body.username) || (pending && pending.username);
+    const userWait = username
+        ? getWaitMs(`user:${normalizeUsername(username)}`, FREE_ATTEMPTS_PER_USERNAME)
+        : 0;
+    const waitMs = Math.max(ipWait, userWait);
+
+    if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+            success: false,
+            message: `Too many failed login attempts. Try again in ${retryAfter} seconds.`,
+            retryAfter
+        });
+    }
+    next();
+}
+
+/**
+ * Record a failed login: bump the counters, write the audit row and
+ * lock the account once it reaches LOCKOUT_THRESHOLD failures.
+ * @param {Object} req
+ * @param {string} username
+ * @param {string} reason - unknown_user | invalid_password | invalid_2fa_code | account_locked | account_disabled
+ * @param {Object} [admin] - admins row when the username exists
+ * @returns {Promise<Date|null>} lock expiry if the account was locked by this failure
+ */
+async function recordFailedLogin(req, username, reason, admin) {
+    const ip = getClientIp(req);
+    bumpCounter(`ip:${ip}`);
+    bumpCounter(`user:${normalizeUsername(username)}`);
+
+    let lockedUntil = null;
+
+    try {
+        const supabase = getClient();
+        await supabase.from('login_attempts').insert({
+            username: String(username).substring(0, 255),
+            ip_address: ip,
+            user_agent: (req.get('user-agent') || '').substring(0, 500),
+            reason
+        });
+
+        if (admin && (reason === 'invalid_password' || reason === 'invalid_2fa_code')) {
+            // Count only failures since the last lock expired, so one guess after
+            // it ends does not lock the account again
+            const lockExpired = admin.locked_until && new Date(admin.locked_until) <= new Date();
+            const failedCount = (lockExpired ? 0 : (admin.failed_login_count || 0)) + 1;
+            const updates = { failed_login_count: failedCount };
+            if (failedCount >= LOCKOUT_THRESHOLD) {
+                lockedUntil = new Date(Date.now() + LOCKOUT_DURATION_MS);
+                updates.locked_until = lockedUntil.toISOString();
+            } else if (lockExpired) {
+                updates.locked_until = null;
+            }
+            await supabase.from('admins').update(updates).eq('id', admin.id);
+        }
+    } catch (error) {
+        console.error('Record failed login error:', error.message);
+    }
+
+    return lockedUntil;
+}
+
+/**
+ * Reset counters and the account lock after a successful login
+ */
+async function clearFailedLogins(req, admin) {
+    counters.delete(`ip:${getClientIp(req)}`);
+    counters.delete(`user:${normalizeUsername(admin.username)}`);
+
+    if (admin.failed_login_count || admin.locked_until) {
+        const supabase = getClient();
+        await supabase
+            .from('admins')
+            .update({ failed_login_count: 0, locked_until: null })
+            .eq('id', admin.id);
+    }
+}
+
+/**
+ * Forget the in-memory counters of a username (used when a super-admin unlocks an account)
+ */
+function resetUsernameCounter(username) {
+    counters.delete(`user:${normalizeUsername(username)}`);
+}
+
+module.exports = {
+    loginThrottle,
+    recordFailedLogin,
+    clearFailedLogins,
+    resetUsernameCounter
+};
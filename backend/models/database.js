@@ -5,9 +5,47 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const bcrypt = require('bcryptjs');
+const { BUCKET_OPTIONS } = require('../utils/storage');
 
 let supabase = null;
 
+// Title and description of each public page in search results and share previews,
+// editable with the other sections of the page
+const PAGE_META = {
+    home: {
+        title: ['اتحاد الطلبة والمتدربين الموريتانيين بالجزائر', 'Union des Étudiants et Stagiaires Mauritaniens en Algérie'],
+        description: ['اتحاد الطلبة والمتدربين الموريتانيين بالجزائر - منظمة طلابية تهدف لخدمة ودعم الطلبة الموريتانيين في الجزائر', 'Union des Étudiants et Stagiaires Mauritaniens en Algérie - organisation étudiante au service des étudiants mauritaniens en Algérie']
+    },
+    about: {
+        title: ['من نحن - اتحاد الطلبة الموريتانيين بالجزائر', 'Qui sommes-nous - Union des Étudiants Mauritaniens en Algérie'],
+        description: ['تعرف على اتحاد الطلبة الموريتانيين بالجزائر - تاريخنا، رؤيتنا، ورسالتنا وقيمنا', 'Découvrez l\'Union des Étudiants Mauritaniens en Algérie - notre histoire, notre vision, notre mission et nos valeurs']
+    },
+    news: {
+        title: ['الأخبار والفعاليات - اتحاد الطلبة الموريتانيين بالجزائر', 'Actualités et Événements - Union des Étudiants Mauritaniens en Algérie'],
+        description: ['آخر أخبار وفعاليات اتحاد الطلبة الموريتانيين بالجزائر', 'Dernières actualités et événements de l\'Union des Étudiants Mauritaniens en Algérie']
+    },
+    guide: {
+        title: ['دليل الطالب - اتحاد الطلبة الموريتانيين بالجزائر', 'Guide Étudiant - Union des Étudiants Mauritaniens en Algérie'],
+        description: ['دليل شامل للطلبة الموريتانيين الجدد في الجزائر - السكن، البنوك، المواصلات، والمزيد', 'Guide complet pour les nouveaux étudiants mauritaniens en Algérie - logement, banques, transports et plus']
+    },
+    programs: {
+        title: ['البرامج الأكاديمية - اتحاد الطلبة الموريتانيين بالجزائر', 'Programmes Académiques - Union des Étudiants Mauritaniens en Algérie'],
+        description: ['البرامج الأكاديمية والتخصصات المتاحة للطلاب الموريتانيين في الجزائر', 'Programmes académiques et spécialités ouverts aux étudiants mauritaniens en Algérie']
+    },
+    services: {
+        title: ['الخدمات - اتحاد الطلبة الموريتانيين بالجزائر', 'Services - Union des Étudiants Mauritaniens en Algérie'],
+        description: ['خدمات اتحاد الطلبة الموريتانيين بالجزائر - العضوية، الدعم، والموارد', 'Services de l\'Union des Étudiants Mauritaniens en Algérie - adhésion, soutien et ressources']
+    },
+    contact: {
+        title: ['اتصل بنا - اتحاد الطلبة الموريتانيين بالجزائر', 'Contactez-nous - Union des Étudiants Mauritaniens en Algérie'],
+        description: ['تواصل مع اتحاد الطلبة الموريتانيين بالجزائر', 'Contactez l\'Union des Étudiants Mauritaniens en Algérie']
+    },
+    search: {
+        title: ['البحث - اتحاد الطلبة الموريتانيين بالجزائر', 'Recherche - Union des Étudiants Mauritaniens en Algérie'],
+        description: ['البحث في أخبار وصفحات وتخصصات اتحاد الطلبة الموريتانيين بالجزائر', 'Recherchez dans les actualités, les pages et les spécialités de l\'Union des Étudiants Mauritaniens en Algérie']
+    }
+};
+
 /**
  * Initialize the database
  * @returns {Promise<void>}
@@ -71,6 +109,12 @@ async function initializeDatabase() {
         console.error('Error seeding default page content:', err.message);
     }
 
+    try {
+        await initializePageMeta();
+    } catch (err) {
+        console.error('Error seeding page meta sections:', err.message);
+    }
+
     // Log seed results
     try {
         const { count: adminCount } = await supabase.from('admins').select('*', { count: 'exact', head: true });
@@ -90,18 +134,30 @@ async function initializeDatabase() {
 async function createDefaultAdmin() {
     const { data: existing } = await supabase
         .from('admins')
-        .select('id')
+        .select('id, password, must_change_password')
         .eq('username', 'admin')
         .limit(1);
 
     if (!existing || existing.length === 0) {
-        const hashedPassword = bcrypt.hashSync('admin123', 10);
+        const hashedPassword = await bcrypt.hash('admin123', 10);
         const { error } = await supabase
             .from('admins')
-            .insert({ username: 'admin', password: hashedPassword });
+            .insert({ username: 'admin', password: hashedPassword, role: 'super_admin', must_change_password: true });
         if (error) throw error;
         console.log('Default admin created (username: admin, password: admin123)');
-        console.log('IMPORTANT: Please change the password after first login!');
+        console.log('The password must be changed at first login.');
+        return;
+    }
+
+    // Installs from before the flag existed may still use the default password
+    const admin = existing[0];
+    if (!admin.must_change_password && await bcrypt.compare('admin123', admin.password)) {
+        const { error } = await supabase
+            .from('admins')
+            .update({ must_change_password: true })
+            .eq('id', admin.id);
+        if (error) throw error;
+        console.log('Default admin still uses the default password - a change will be required at next login.');
     }
 }
 
@@ -172,7 +228,15 @@ async function initializeDefaultSpecialties() {
             }
         ];
 
-        const { error } = await supabase.from('specialties').insert(specialties);
+        // The seed texts are Arabic; French translations are added from the admin panel
+        const rows = specialties.map(spec => ({
+            ...spec,
+            description_ar: spec.description,
+            duration_ar: spec.duration,
+            items_ar: spec.items
+        }));
+
+        const { error } = await supabase.from('specialties').insert(rows);
         if (error) throw error;
         console.log('Default specialties initialized!');
     }
@@ -197,6 +261,7 @@ async function initializeDefaultContent() {
                 section_id: section,
                 section_title: title,
                 content: content,
+                content_ar: content,
                 content_type: type,
                 display_order: order
             });
@@ -469,6 +534,34 @@ async function initializeDefaultContent() {
     }
 }
 
+/**
+ * Add the meta_title / meta_description sections missing from a page
+ * (sites seeded before they existed); sections already edited are kept
+ */
+async function initializePageMeta() {
+    const rows = [];
+    Object.entries(PAGE_META).forEach(([page, meta]) => {
+        [['meta_title', 'SEO - عنوان الصفحة', meta.title, 98], ['meta_description', 'SEO - وصف الصفحة', meta.description, 99]]
+            .forEach(([section, title, [contentAr, contentFr], order]) => {
+                rows.push({
+                    page_name: page,
+                    section_id: section,
+                    section_title: title,
+                    content: contentAr,
+                    content_ar: contentAr,
+                    content_fr: contentFr,
+                    content_type: 'text',
+                    display_order: order
+                });
+            });
+    });
+
+    const { error } = await supabase
+        .from('page_content')
+        .upsert(rows, { onConflict: 'page_name,section_id', ignoreDuplicates: true });
+    if (error) throw error;
+}
+
 /**
  * Ensure the Supabase Storage bucket exists and is correctly configured
  */
@@ -478,21 +571,13 @@ async function ensureStorageBucket() {
 
     const existing = buckets.find(b => b.name === 'uploads');
     if (!existing) {
-        const { error: createError } = await supabase.storage.createBucket('uploads', {
-            public: true,
-            fileSizeLimit: 5 * 1024 * 1024,
-            allowedMimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
-        });
+        const { error: createError } = await supabase.storage.createBucket('uploads', BUCKET_OPTIONS);
         if (createError) throw new Error('Failed to create storage bucket: ' + createError.message);
         console.log('Storage bucket "uploads" created (public)');
     } else {
         console.log('Storage bucket "uploads" exists. public:', existing.public);
         // Always update bucket to ensure it's public
-        const { error: updateError } = await supabase.storage.updateBucket('uploads', {
-            public: true,
-            fileSizeLimit: 5 * 1024 * 1024,
-            allowedMimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
-        });
+        const { error: updateError } = await supabase.storage.updateBucket('uploads', BUCKET_OPTIONS);
         if (updateError) {
             console.error('FAILED to update bucket to public:', JSON.stringify(updateError));
         } else {
@@ -556,6 +641,7 @@ async function forceReseed() {
     await createDefaultAdmin();
     await initializeDefaultSpecialties();
     await initializeDefaultContent();
+    await initializePageMeta();
     return await getSeedStatus();
 }
 
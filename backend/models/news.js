@@ -0,0 +1,255 @@
+/**
+ * News model helpers - slugs and article lookups shared by the API and the server-rendered pages
+ */
+
+const { getClient } = require('./database');
+const { DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { renderRichText, excerpt } = require('../utils/richtext');
+const { storagePaths } = require('../utils/storage');
+
+const MAX_SLUG_LENGTH = 80;
+
+// Slugs drop French accents and Arabic harakat but keep every letter as written
+// (unlike search normalization, hamza and ة are not folded)
+const SLUG_MARKS = /[\u0300-\u036f\u064b-\u0652\u0670]/g;
+const SLUG_LIGATURES = { 'œ': 'oe', 'æ': 'ae', 'ß': 'ss' };
+const SLUG_SEPARATORS = /[^\p{L}\p{M}\p{N}]+/gu;
+
+// Fields needed to link to another article
+const LINK_FIELDS = 'id, slug, title, title_ar, title_fr, created_at';
+
+const NEWS_CATEGORIES = ['news', 'event', 'announcement'];
+
+// Images form the article gallery, files are listed as downloads
+const ATTACHMENT_KINDS = ['image', 'file'];
+
+/**
+ * Turn a title into a slug: lowercase words without accents or harakat joined with "-"
+ * @param {string} text
+ * @returns {string}
+ */
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(SLUG_MARKS, '')
+        // Recompose what stays, e.g. alef + hamza above back into أ
+        .normalize('NFC')
+        .replace(/\u0640/g, '')
+        .replace(/[œæß]/g, char => SLUG_LIGATURES[char])
+        .replace(SLUG_SEPARATORS, '-')
+        .replace(/^-+/, '')
+        .slice(0, MAX_SLUG_LENGTH)
+        .replace(/-+$/, '');
+}
+
+/**
+ * Slug for a news item that no other item uses, adding -2, -3... when needed
+ * @param {string} text - title or slug asked for
+ * @param {number|string} [excludeId] - the item being updated
+ * @returns {Promise<string>}
+ */
+async function uniqueSlug(text, excludeId) {
+    const base = slugify(text) || 'news';
+    const supabase = getClient();
+
+    const { data: rows, error } = await supabase
+        .from('news')
+        .select('id, slug')
+        .like('slug', `${base}%`);
+
+    if (error) throw error;
+
+    const taken = new Set(rows
+        .filter(row => excludeId === undefined || String(row.id) !== String(excludeId))
+        .map(row => row.slug));
+
+    if (!taken.has(base)) return base;
+    let suffix = 2;
+    while (taken.has(`${base}-${suffix}`)) suffix++;
+    return `${base}-${suffix}`;
+}
+
+/**
+ * Whether a news item has ever been public, so links to its URL may exist
+ */
+function hasBeenPublished(item) {
+    return Boolean(item.first_published_at || item.published);
+}
+
+/**
+ * Restrict a news query to what visitors may see now: published, and inside the
+ * publish_at / expire_at window (the scheduler flips `published`, this covers the
+ * time between two scheduler runs)
+ * @param {Object} query - Supabase query on the news table
+ * @param {Date} [now]
+ */
+function visibleNow(query, now = new Date()) {
+    const nowIso = now.toISOString();
+    return query
+        .eq('published', true)
+        .or(`publish_at.is.null,publish_at.lte.${nowIso}`)
+        .or(`expire_at.is.null,expire_at.gt.${nowIso}`);
+}
+
+/**
+ * Source text of the automatic slug: the French title gives a Latin-script URL, Arabic otherwise
+ */
+function slugSource(news) {
+    return news.title_fr || news.title_ar || news.title;
+}
+
+/**
+ * Sanitized HTML body and plain-text excerpt of a news item in a language. Both come
+ * from the language the content is shown in (Arabic when not translated); rows saved
+ * before rich text are rendered on the fly.
+ * @returns {{ html: string, excerpt: string }}
+ */
+function newsBody(news, lang) {
+    const bodyLang = news[`content_${lang}`] ? lang : DEFAULT_LANGUAGE;
+    const html = news[`content_html_${bodyLang}`] || renderRichText(news[`content_${bodyLang}`] || news.content);
+    return { html, excerpt: news[`excerpt_${bodyLang}`] || excerpt(html) };
+}
+
+/**
+ * Published news item by slug, or null
+ */
+async function findPublishedBySlug(slug) {
+    const supabase = getClient();
+    const query = supabase.from('news').select('*').eq('slug', slug);
+    const { data: news, error } = await visibleNow(query).maybeSingle();
+
+    if (error) throw error;
+    return news;
+}
+
+/**
+ * Latest published news, newest first
+ * @param {Object} [options]
+ * @param {string} [options.category] - only this category
+ * @param {number} [options.limit]
+ * @returns {Promise<Object[]>}
+ */
+async function findLatestPublished({ category, limit = 20 } = {}) {
+    const supabase = getClient();
+    let query = visibleNow(supabase.from('news').select('*'));
+    if (category) query = query.eq('category', category);
+
+    const { data: news, error } = await query
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false })
+        .limit(limit);
+
+    if (error) throw error;
+    return news;
+}
+
+/**
+ * Published items just before (older) and after (newer) a news item
+ * @returns {Promise<{ previous: Object|null, next: Object|null }>}
+ */
+async function findNeighbours(news) {
+    const supabase = getClient();
+
+    const [previousResult, nextResult] = await Promise.all([
+        visibleNow(supabase.from('news').select(LINK_FIELDS))
+            .lt('created_at', news.created_at)
+            .order('created_at', { ascending: false })
+            .limit(1),
+        visibleNow(supabase.from('news').select(LINK_FIELDS))
+            .gt('created_at', news.created_at)
+            .order('created_at', { ascending: true })
+            .limit(1)
+    ]);
+
+    if (previousResult.error) throw previousResult.error;
+    if (nextResult.error) throw nextResult.error;
+
+    return {
+        previous: previousResult.data[0] || null,
+        next: nextResult.data[0] || null
+    };
+}
+
+/**
+ * Attachments of a news item, in display order
+ * @param {number|string} newsId
+ * @returns {Promise<Object[]>}
+ */
+async function findAttachments(newsId) {
+    const supabase = getClient();
+    const { data: attachments, error } = await supabase
+        .from('news_attachments')
+        .select('*')
+        .eq('news_id', newsId)
+        .order('display_order', { ascending: true })
+        .order('id', { ascending: true });
+
+    if (error) throw error;
+    return attachments;
+}
+
+/**
+ * Delete uploaded files of removed attachments; a storage failure is logged, not thrown,
+ * since the rows are already gone
+ * @param {Object[]} attachments
+ */
+async function removeAttachmentFiles(attachments) {
+    const paths = storagePaths(attachments.map(attachment => attachment.url));
+    if (paths.length === 0) return;
+
+    const { error } = await getClient().storage.from('uploads').remove(paths);
+    if (error) console.error('Remove attachment files error:', error.message);
+}
+
+/**
+ * Replace the attachments of a news item with an ordered list: saved rows missing
+ * from the list are deleted with their files, listed rows are updated and new ones
+ * (without an id of this item) inserted; list order becomes display_order
+ * @param {number|string} newsId
+ * @param {Object[]} attachments
+ * @returns {Promise<Object[]>} the saved attachments, in order
+ */
+async function saveAttachments(newsId, attachments) {
+    const supabase = getClient();
+    const existing = await findAttachments(newsId);
+    const existingIds = new Set(existing.map(row => String(row.id)));
+    const keptIds = new Set(attachments.filter(item => item.id).map(item => String(item.id)));
+    const removed = existing.filter(row => !keptIds.has(String(row.id)));
+
+    if (removed.length > 0) {
+        const { error } = await supabase
+            .from('news_attachments')
+            .delete()
+            .in('id', removed.map(row => row.id));
+        if (error) throw error;
+        await removeAttachmentFiles(removed);
+    }
+
+    for (const [index, { id, ...fields }] of attachments.entries()) {
+        const values = { ...fields, display_order: index };
+        const { error } = id && existingIds.has(String(id))
+            ? await supabase.from('news_attachments').update(values).eq('id', id).eq('news_id', newsId)
+            : await supabase.from('news_attachments').insert({ ...values, news_id: newsId });
+        if (error) throw error;
+    }
+
+    return findAttachments(newsId);
+}
+
+module.exports = {
+    NEWS_CATEGORIES,
+    ATTACHMENT_KINDS,
+    slugify,
+    uniqueSlug,
+    slugSource,
+    hasBeenPublished,
+    visibleNow,
+    newsBody,
+    findPublishedBySlug,
+    findLatestPublished,
+    findNeighbours,
+    findAttachments,
+    removeAttachmentFiles,
+    saveAttachments
+};
@@ -0,0 +1,361 @@
+/**
+ * Session Stores for express-session
+ * - SupabaseSessionStore: sessions in the admin_sessions table (created by initialize_schema())
+ * - FileSessionStore: a JSON file in backend/data/, for local development without Supabase
+ *
+ * Both keep the admin id next to each session so an admin can list and revoke
+ * their other sessions.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Store } = require('express-session');
+const { getClient } = require('./database');
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+// Skip touch() writes when the session was saved less than a minute ago
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+let activeStore = null;
+
+function getExpiry(sess) {
+    if (sess && sess.cookie && sess.cookie.expires) {
+        return new Date(sess.cookie.expires);
+    }
+    const maxAge = sess && sess.cookie && sess.cookie.originalMaxAge;
+    return new Date(Date.now() + (maxAge || DEFAULT_TTL_MS));
+}
+
+/**
+ * Public identifier of a session - the sid itself is never sent to the browser
+ */
+function sessionPublicId(sid) {
+    return crypto.createHash('sha256').update(sid).digest('hex').substring(0, 16);
+}
+
+/**
+ * Shape a stored session for the "active sessions" list
+ */
+function describeSession(sid, sess, updatedAt, expiresAt) {
+    return {
+        id: sessionPublicId(sid),
+        ip: sess.ip || null,
+        user_agent: sess.userAgent || null,
+        login_at: sess.loginAt || null,
+        last_seen_at: updatedAt ? new Date(updatedAt).toISOString() : null,
+        expires_at: new Date(expiresAt).toISOString()
+    };
+}
+
+/**
+ * Run an async store method and report through the express-session callback
+ */
+function withCallback(promise, callback) {
+    promise
+        .then(result => callback && callback(null, result))
+        .catch(error => callback && callback(error));
+}
+
+// ========================================
+// SUPABASE STORE
+// ========================================
+
+class SupabaseSessionStore extends Store {
+    constructor() {
+        super();
+        this.lastTouched = new Map();
+    }
+
+    /**
+     * The database connects after the server starts; until then no session can be found
+     */
+    client() {
+        try {
+            return getClient();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    get(sid, callback) {
+        withCallback((async () => {
+            const supabase = this.client();
+            if (!supabase) return null;
+
+            const { data, error } = await supabase
+                .from('admin_sessions')
+                .select('sess, expires_at')
+                .eq('sid', sid)
+                .maybeSingle();
+
+            if (error) throw error;
+            if (!data) return null;
+
+            if (new Date(data.expires_at) <= new Date()) {
+                await supabase.from('admin_sessions').delete().eq('sid', sid);
+                return null;
+            }
+            return data.sess;
+        })(), callback);
+    }
+
+    set(sid, sess, callback) {
+        withCallback((async () => {
+            const supabase = this.client();
+            if (!supabase) throw new Error('Database not connected yet. Please try again in a moment.');
+
+            const { error } = await supabase
+                .from('admin_sessions')
+                .upsert({
+                    sid,
+                    sess,
+                    admin_id: sess.adminId || null,
+                    expires_at: getExpiry(sess).toISOString(),
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'sid' });
+
+            if (error) throw error;
+            this.lastTouched.set(sid, Date.now());
+        })(), callback);
+    }
+
+    touch(sid, sess, callback) {
+        const last = this.lastTouched.get(sid) || 0;
+        if (Date.now() - last < TOUCH_INTERVAL_MS) {
+            return callback && callback(null);
+        }
+
+        withCallback((async () => {
+            const supabase = this.client();
+            if (!supabase) return;
+
+            const { error } = await supabase
+                .from('admin_sessions')
+                .update({ expires_at: getExpiry(sess).toISOString(), updated_at: new Date().toISOString() })
+                .eq('sid', sid);
+
+            if (error) throw error;
+            this.lastTouched.set(sid, Date.now());
+        })(), callback);
+    }
+
+    destroy(sid, callback) {
+        this.lastTouched.delete(sid);
+        withCallback((async () => {
+            const supabase = this.client();
+            if (!supabase) return;
+
+            const { error } = await supabase.from('admin_sessions').delete().eq('sid', sid);
+            if (error) throw error;
+        })(), callback);
+    }
+
+    /**
+     * Active sessions of an admin
+     * @returns {Promise<Array<{sid: string, session: Object}>>}
+     */
+    async listByAdmin(adminId) {
+        const supabase = getClient();
+        const { data, error } = await supabase
+            .from('admin_sessions')
+            .select('sid, sess, expires_at, updated_at')
+            .eq('admin_id', adminId)
+            .gt('expires_at', new Date().toISOString())
+            .order('updated_at', { ascending: false });
+
+        if (error) throw error;
+        return data.map(row => ({
+            sid: row.sid,
+            session: describeSession(row.sid, row.sess, row.updated_at, row.expires_at)
+        }));
+    }
+
+    /**
+     * Delete all sessions of an admin, optionally keeping one
+     * @returns {Promise<number>} number of sessions removed
+     */
+    async destroyByAdmin(adminId, exceptSid) {
+        const supabase = getClient();
+        let query = supabase.from('admin_sessions').delete().eq('admin_id', adminId);
+        if (exceptSid) {
+            query = query.neq('sid', exceptSid);
+        }
+
+        const { data, error } = await query.select('sid');
+        if (error) throw error;
+        data.forEach(row => this.lastTouched.delete(row.sid));
+        return data.length;
+    }
+
+    async pruneExpired() {
+        const supabase = this.client();
+        if (!supabase) return;
+
+        const { error } = await supabase
+            .from('admin_sessions')
+            .delete()
+            .lte('expires_at', new Date().toISOString());
+        if (error) throw error;
+
+        this.lastTouched.clear();
+    }
+}
+
+// ========================================
+// FILE STORE (local fallback)
+// ========================================
+
+class FileSessionStore extends Store {
+    constructor(filePath) {
+        super();
+        this.filePath = filePath;
+        this.sessions = {};
+        this.saveTimer = null;
+
+        try {
+            this.sessions = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Could not read session file, starting empty:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Write the file at most once per second
+     */
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = this.filePath + '.tmp';
+            fs.writeFile(tmpPath, JSON.stringify(this.sessions), (err) => {
+                if (err) return console.error('Session file write error:', err.message);
+                fs.rename(tmpPath, this.filePath, (renameErr) => {
+                    if (renameErr) console.error('Session file write error:', renameErr.message);
+                });
+            });
+        }, 1000);
+        this.saveTimer.unref();
+    }
+
+    get(sid, callback) {
+        const entry = this.sessions[sid];
+        if (!entry) return callback(null, null);
+
+        if (new Date(entry.expires_at) <= new Date()) {
+            delete this.sessions[sid];
+            this.scheduleSave();
+            return callback(null, null);
+        }
+        callback(null, entry.sess);
+    }
+
+    set(sid, sess, callback) {
+        this.sessions[sid] = {
+            sess,
+            admin_id: sess.adminId || null,
+            expires_at: getExpiry(sess).toISOString(),
+            updated_at: new Date().toISOString()
+        };
+        this.scheduleSave();
+        callback && callback(null);
+    }
+
+    touch(sid, sess, callback) {
+        const entry = this.sessions[sid];
+        if (entry && Date.now() - new Date(entry.updated_at).getTime() >= TOUCH_INTERVAL_MS) {
+            entry.expires_at = getExpiry(sess).toISOString();
+            entry.updated_at = new Date().toISOString();
+            this.scheduleSave();
+        }
+        callback && callback(null);
+    }
+
+    destroy(sid, callback) {
+        delete this.sessions[sid];
+        this.scheduleSave();
+        callback && callback(null);
+    }
+
+    async listByAdmin(adminId) {
+        const now = new Date();
+        return Object.entries(this.sessions)
+            .filter(([, entry]) => entry.admin_id === adminId && new Date(entry.expires_at) > now)
+            .sort((a, b) => new Date(b[1].updated_at) - new Date(a[1].updated_at))
+            .map(([sid, entry]) => ({
+                sid,
+                session: describeSession(sid, entry.sess, entry.updated_at, entry.expires_at)
+            }));
+    }
+
+    async destroyByAdmin(adminId, exceptSid) {
+        let removed = 0;
+        for (const [sid, entry] of Object.entries(this.sessions)) {
+            if (entry.admin_id === adminId && sid !== exceptSid) {
+                delete this.sessions[sid];
+                removed++;
+            }
+        }
+        if (removed) this.scheduleSave();
+        return removed;
+    }
+
+    async pruneExpired() {
+        const now = new Date();
+        for (const [sid, entry] of Object.entries(this.sessions)) {
+            if (new Date(entry.expires_at) <= now) {
+                delete this.sessions[sid];
+            }
+        }
+        this.scheduleSave();
+    }
+}
+
+/**
+ * Create the session store selected by SESSION_STORE (supabase | file).
+ * Defaults to supabase when SUPABASE_URL is set, otherwise to the file store.
+ * @returns {Store}
+ */
+function createSessionStore() {
+    const type = process.env.SESSION_STORE || (process.env.SUPABASE_URL ? 'supabase' : 'file');
+
+    if (type === 'file') {
+        const filePath = process.env.SESSION_FILE || path.join(__dirname, '..', 'data', 'sessions.json');
+        activeStore = new FileSessionStore(filePath);
+        console.log('Session store: file (' + filePath + ')');
+    } else {
+        activeStore = new SupabaseSessionStore();
+        console.log('Session store: Supabase (admin_sessions table)');
+    }
+
+    const pruneTimer = setInterval(() => {
+        activeStore.pruneExpired().catch(error => {
+            console.error('Session cleanup error:', error.message);
+        });
+    }, PRUNE_INTERVAL_MS);
+    pruneTimer.unref();
+
+    return activeStore;
+}
+
+/**
+ * The store created by createSessionStore(), for listing and revoking sessions
+ * @returns {Store}
+ */
+function getSessionStore() {
+    if (!activeStore) {
+        throw new Error('Session store not initialized');
+    }
+    return activeStore;
+}
+
+module.exports = {
+    createSessionStore,
+    getSessionStore,
+    sessionPublicId
+};
@@ -0,0 +1,54 @@
+/**
+ * Specialties model helpers - item lists and the active specialties shown on the site
+ */
+
+const { getClient } = require('./database');
+
+/**
+ * Parse a JSON item list (stored as text, already parsed by some clients)
+ * @returns {string[]}
+ */
+function parseItems(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value;
+    try {
+        const items = JSON.parse(value);
+        return Array.isArray(items) ? items : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Parse the JSON item lists of a specialty row
+ */
+function parseSpecialty(spec) {
+    return {
+        ...spec,
+        items: parseItems(spec.items),
+        items_ar: parseItems(spec.items_ar),
+        items_fr: parseItems(spec.items_fr)
+    };
+}
+
+/**
+ * Active specialties in display order, item lists parsed
+ * @returns {Promise<Object[]>}
+ */
+async function findActiveSpecialties() {
+    const supabase = getClient();
+    const { data: specialties, error } = await supabase
+        .from('specialties')
+        .select('*')
+        .eq('is_active', true)
+        .order('display_order', { ascending: true });
+
+    if (error) throw error;
+    return specialties.map(parseSpecialty);
+}
+
+module.exports = {
+    parseItems,
+    parseSpecialty,
+    findActiveSpecialties
+};
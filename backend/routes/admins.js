@@ -0,0 +1,318 @@
+/**
+ * Admins Routes - Manage admin accounts and roles (super-admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcryptjs');
+const { getClient } = require('../models/database');
+const { ROLES, ROLE_PERMISSIONS, requireRole } = require('../middleware/auth');
+const { resetUsernameCounter } = require('../middleware/loginThrottle');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { getSessionStore } = require('../models/sessionStore');
+const { recordAudit } = require('../utils/audit');
+
+const ADMIN_FIELDS = 'id, username, role, is_active, must_change_password, last_login_at, failed_login_count, locked_until, totp_enabled, created_at, updated_at';
+
+router.use(requireRole('super_admin'));
+
+/**
+ * Make sure at least one active super-admin remains after a change
+ */
+async function isLastActiveSuperAdmin(supabase, adminId) {
+    const { data: superAdmins, error } = await supabase
+        .from('admins')
+        .select('id')
+        .eq('role', 'super_admin')
+        .eq('is_active', true);
+    if (error) throw error;
+    return superAdmins.length === 1 && superAdmins[0].id === adminId;
+}
+
+/**
+ * GET /api/admins - List admin accounts
+ */
+router.get('/', async (req, res) => {
+    try {
+        const supabase = getClient();
+        const { data: admins, error } = await supabase
+            .from('admins')
+            .select(ADMIN_FIELDS)
+            .order('created_at', { ascending: true });
+
+        if (error) throw error;
+        res.json({ success: true, data: admins, roles: ROLE_PERMISSIONS });
+    } catch (error) {
+        console.error('Get admins error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching admins' });
+    }
+});
+
+/**
+ * GET /api/admins/login-attempts - Recent failed login attempts
+ * Query: limit (default 20, max 100)
+ */
+router.get('/login-attempts', async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const supabase = getClient();
+
+        const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+        const [{ data: attempts, error }, { count: last24h, error: countErr }] = await Promise.all([
+            supabase
+                .from('login_attempts')
+                .select('*')
+                .order('created_at', { ascending: false })
+                .limit(limit),
+            supabase
+                .from('login_attempts')
+                .select('*', { count: 'exact', head: true })
+                .gte('created_at', since)
+        ]);
+
+        if (error) throw error;
+        if (countErr) throw countErr;
+
+        res.json({ success: true, data: attempts, last24h: last24h || 0 });
+    } catch (error) {
+        console.error('Get login attempts error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching login attempts' });
+    }
+});
+
+/**
+ * POST /api/admins - Create an admin account
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { username, password, role } = req.body;
+
+        if (!username || !password || !role) {
+            return res.status(400).json({ success: false, message: 'Username, password and role are required' });
+        }
+
+        if (!/^[a-zA-Z0-9._-]{3,50}$/.test(username)) {
+            return res.status(400).json({ success: false, message: 'Username must be 3-50 characters (letters, digits, . _ -)' });
+        }
+
+        if (!ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: 'Invalid role' });
+        }
+
+        const policyError = validatePassword(password, username);
+        if (policyError) {
+            return res.status(400).json({ success: false, message: policyError });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing } = await supabase
+            .from('admins')
+            .select('id')
+            .eq('username', username)
+            .limit(1);
+
+        if (existing && existing.length > 0) {
+            return res.status(409).json({ success: false, message: 'Username already exists' });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const { data: admin, error } = await supabase
+            .from('admins')
+            .insert({ username, password: hashedPassword, role, must_change_password: true })
+            .select(ADMIN_FIELDS)
+            .single();
+
+        if (error) throw error;
+
+        await recordAudit(req, { action: 'create', entityType: 'admin', entityId: admin.id, after: { username, role }, summary: username });
+
+        res.status(201).json({ success: true, message: 'Admin created successfully', data: admin });
+    } catch (error) {
+        console.error('Create admin error:', error);
+        res.status(500).json({ success: false, message: 'Error creating admin' });
+    }
+});
+
+/**
+ * PATCH /api/admins/:id - Change role or enable/disable an account
+ */
+router.patch('/:id', async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const { role, is_active } = req.body;
+
+        if (role !== undefined && !ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: 'Invalid role' });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('admins')
+            .select('id, username, role, is_active')
+            .eq('id', id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        const demoting = role !== undefined && role !== 'super_admin';
+        const disabling = is_active !== undefined && !is_active;
+
+        if (id === req.session.adminId && (demoting || disabling)) {
+            return res.status(400).json({ success: false, message: 'You cannot disable or demote your own account' });
+        }
+
+        if ((demoting || disabling) && existing.role === 'super_admin' && await isLastActiveSuperAdmin(supabase, id)) {
+            return res.status(400).json({ success: false, message: 'At least one active super-admin is required' });
+        }
+
+        const updates = { updated_at: new Date().toISOString() };
+        if (role !== undefined) updates.role = role;
+        if (is_active !== undefined) updates.is_active = is_active ? true : false;
+
+        const { data: updated, error } = await supabase
+            .from('admins')
+            .update(updates)
+            .eq('id', id)
+            .select(ADMIN_FIELDS)
+            .single();
+
+        if (error) throw error;
+
+        if (disabling) {
+            await getSessionStore().destroyByAdmin(id);
+        }
+
+        await recordAudit(req, { action: 'update', entityType: 'admin', entityId: id, before: existing, after: updated, summary: existing.username });
+
+        res.json({ success: true, message: 'Admin updated successfully', data: updated });
+    } catch (error) {
+        console.error('Update admin error:', error);
+        res.status(500).json({ success: false, message: 'Error updating admin' });
+    }
+});
+
+/**
+ * POST /api/admins/:id/reset-password - Set a temporary password for another admin
+ * (they must change it at their next login)
+ */
+router.post('/:id/reset-password', async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password) {
+            return res.status(400).json({ success: false, message: 'Password is required' });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('admins')
+            .select('id, username')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        const policyError = validatePassword(password, existing.username);
+        if (policyError) {
+            return res.status(400).json({ success: false, message: policyError });
+        }
+
+        const hashedPassword = await bcrypt.hash(password, 10);
+        const { error } = await supabase
+            .from('admins')
+            .update({ password: hashedPassword, must_change_password: true, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id);
+
+        if (error) throw error;
+
+        // The old password may be compromised - sign the admin out everywhere
+        await getSessionStore().destroyByAdmin(existing.id);
+        await recordAudit(req, { action: 'reset_password', entityType: 'admin', entityId: existing.id, summary: existing.username });
+
+        res.json({ success: true, message: 'Password reset successfully' });
+    } catch (error) {
+        console.error('Reset admin password error:', error);
+        res.status(500).json({ success: false, message: 'Error resetting password' });
+    }
+});
+
+/**
+ * POST /api/admins/:id/unlock - Clear a lockout caused by failed logins
+ */
+router.post('/:id/unlock', async (req, res) => {
+    try {
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('admins')
+            .select('id, username')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        const { error } = await supabase
+            .from('admins')
+            .update({ failed_login_count: 0, locked_until: null, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id);
+
+        if (error) throw error;
+
+        resetUsernameCounter(existing.username);
+        await recordAudit(req, { action: 'unlock', entityType: 'admin', entityId: existing.id, summary: existing.username });
+        res.json({ success: true, message: 'Account unlocked successfully' });
+    } catch (error) {
+        console.error('Unlock admin error:', error);
+        res.status(500).json({ success: false, message: 'Error unlocking account' });
+    }
+});
+
+/**
+ * POST /api/admins/:id/reset-2fa - Turn off two-factor authentication for an admin who lost their device
+ */
+router.post('/:id/reset-2fa', async (req, res) => {
+    try {
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('admins')
+            .select('id, username')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        const { error } = await supabase
+            .from('admins')
+            .update({
+                totp_enabled: false,
+                totp_secret: null,
+                totp_last_step: null,
+                totp_recovery_codes: [],
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.params.id);
+
+        if (error) throw error;
+
+        await recordAudit(req, { action: 'reset_2fa', entityType: 'admin', entityId: existing.id, summary: existing.username });
+
+        res.json({ success: true, message: 'Two-factor authentication reset successfully' });
+    } catch (error) {
+        console.error('Reset admin 2FA error:', error);
+        res.status(500).json({ success: false, message: 'Error resetting two-factor authentication' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+/**
+ * Audit Routes - Browse the log of admin changes
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getClient } = require('../models/database');
+const { requirePermission } = require('../middleware/auth');
+const { AUDIT_ACTIONS, AUDIT_ENTITY_TYPES } = require('../utils/audit');
+
+const MAX_PAGE_SIZE = 100;
+
+router.use(requirePermission('audit'));
+
+/**
+ * GET /api/audit - List audit entries, newest first (admin)
+ * Filters: admin_id, action, entity_type, entity_id, from, to (ISO dates)
+ * Paging: page (default 1), pageSize (default 50, max 100)
+ */
+router.get('/', async (req, res) => {
+    try {
+        const { admin_id, action, entity_type, entity_id, from, to } = req.query;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || 50, 1), MAX_PAGE_SIZE);
+
+        const supabase = getClient();
+        let query = supabase.from('audit_log').select('*', { count: 'exact' });
+
+        if (admin_id) {
+            query = query.eq('admin_id', parseInt(admin_id));
+        }
+        if (action) {
+            query = query.eq('action', action);
+        }
+        if (entity_type) {
+            query = query.eq('entity_type', entity_type);
+        }
+        if (entity_id) {
+            query = query.eq('entity_id', String(entity_id));
+        }
+        if (from) {
+            const fromDate = new Date(from);
+            if (isNaN(fromDate)) {
+                return res.status(400).json({ success: false, message: 'Invalid "from" date' });
+            }
+            query = query.gte('created_at', fromDate.toISOString());
+        }
+        if (to) {
+            const toDate = new Date(to);
+            if (isNaN(toDate)) {
+                return res.status(400).json({ success: false, message: 'Invalid "to" date' });
+            }
+            // A bare date means "until the end of that day"
+            if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+                toDate.setUTCHours(23, 59, 59, 999);
+            }
+            query = query.lte('created_at', toDate.toISOString());
+        }
+
+        const offset = (page - 1) * pageSize;
+        query = query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + pageSize - 1);
+
+        const { data: entries, count, error } = await query;
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            data: entries,
+            pagination: { page, pageSize, total: count || 0 }
+        });
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching audit log' });
+    }
+});
+
+/**
+ * GET /api/audit/filters - Distinct admins, actions and entity types for the filter menus (admin)
+ */
+router.get('/filters', async (req, res) => {
+    try {
+        const supabase = getClient();
+        const { data: admins, error } = await supabase
+            .from('admins')
+            .select('id, username')
+            .order('username');
+
+        if (error) throw error;
+
+        res.json({
+            success: true,
+            data: {
+                admins,
+                entity_types: AUDIT_ENTITY_TYPES,
+                actions: AUDIT_ACTIONS
+            }
+        });
+    } catch (error) {
+        console.error('Get audit filters error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching audit filters' });
+    }
+});
+
+module.exports = router;
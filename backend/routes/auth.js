@@ -6,13 +6,123 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const QRCode = require('qrcode');
 const { getClient } = require('../models/database');
-const { isAuthenticated, isNotAuthenticated } = require('../middleware/auth');
+const { isLoggedIn, isAuthenticated, isNotAuthenticated, ROLE_PERMISSIONS } = require('../middleware/auth');
+const { validatePassword } = require('../utils/passwordPolicy');
+const { getSessionStore, sessionPublicId } = require('../models/sessionStore');
+const { getCsrfToken } = require('../middleware/csrf');
+const { loginThrottle, recordFailedLogin, clearFailedLogins } = require('../middleware/loginThrottle');
+const totp = require('../utils/totp');
+const { recordAudit } = require('../utils/audit');
+
+// Time allowed between the password step and the authentication code step
+const TWO_FACTOR_TIMEOUT_MS = 5 * 60 * 1000;
+const RECOVERY_CODE_COUNT = 10;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Mauritanian Students Union';
+
+// Compared against when the username does not exist, so both cases take the same time
+const DUMMY_PASSWORD_HASH = '$2a$10$pxB0MZ6ssYQK6N5xNm6miexS7LR90afkkA1wXVc5avF8grQxUBUwy';
+
+/**
+ * Send the response for a temporarily locked account
+ */
+function lockedResponse(res, lockedUntil) {
+    const minutes = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000));
+    return res.status(423).json({
+        success: false,
+        message: `Account temporarily locked after too many failed attempts. Try again in ${minutes} minutes.`,
+        lockedUntil: new Date(lockedUntil).toISOString()
+    });
+}
+
+/**
+ * Start the authenticated session once every factor has passed.
+ * The session id is regenerated so a pre-login id cannot be reused.
+ */
+async function completeLogin(req, res, admin) {
+    await clearFailedLogins(req, admin);
+
+    await new Promise((resolve, reject) => {
+        req.session.regenerate(err => (err ? reject(err) : resolve()));
+    });
+
+    req.session.adminId = admin.id;
+    req.session.adminUsername = admin.username;
+    req.session.adminRole = admin.role;
+    req.session.mustChangePassword = admin.must_change_password;
+    req.session.ip = req.ip;
+    req.session.userAgent = (req.get('user-agent') || '').substring(0, 300);
+    req.session.loginAt = new Date().toISOString();
+
+    const supabase = getClient();
+    await supabase
+        .from('admins')
+        .update({ last_login_at: new Date().toISOString() })
+        .eq('id', admin.id);
+
+    res.json({
+        success: true,
+        message: 'Login successful',
+        admin: { id: admin.id, username: admin.username, role: admin.role },
+        mustChangePassword: admin.must_change_password,
+        csrfToken: getCsrfToken(req)
+    });
+}
+
+/**
+ * Generate one-time recovery codes (xxxxx-xxxxx) and their bcrypt hashes
+ */
+async function generateRecoveryCodes() {
+    const codes = [];
+    for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+        const raw = crypto.randomBytes(5).toString('hex');
+        codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+    }
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(code, 10)));
+    return { codes, hashes };
+}
+
+/**
+ * Check an authenticator code or a recovery code for an admin with 2FA enabled.
+ * A valid TOTP step is remembered so the same code cannot be replayed;
+ * a valid recovery code is removed from the list.
+ * @returns {Promise<boolean>}
+ */
+async function verifySecondFactor(admin, { code, recoveryCode }) {
+    const supabase = getClient();
+
+    if (code) {
+        const step = totp.verifyCode(admin.totp_secret, code, admin.totp_last_step);
+        if (step === null) return false;
+
+        await supabase.from('admins').update({ totp_last_step: step }).eq('id', admin.id);
+        return true;
+    }
+
+    if (recoveryCode) {
+        const normalized = String(recoveryCode).trim().toLowerCase();
+        const hashes = admin.totp_recovery_codes || [];
+
+        for (let i = 0; i < hashes.length; i++) {
+            if (await bcrypt.compare(normalized, hashes[i])) {
+                const remaining = hashes.filter((_, index) => index !== i);
+                await supabase.from('admins').update({ totp_recovery_codes: remaining }).eq('id', admin.id);
+                return true;
+            }
+        }
+    }
+
+    return false;
+}
 
 /**
  * POST /api/auth/login
+ * Responds with twoFactorRequired when the account has 2FA enabled;
+ * the session is only authenticated after POST /api/auth/login/2fa.
  */
-router.post('/login', isNotAuthenticated, async (req, res) => {
+router.post('/login', isNotAuthenticated, loginThrottle, async (req, res) => {
     try {
         const { username, password } = req.body;
 
@@ -31,43 +141,130 @@ router.post('/login', isNotAuthenticated, async (req, res) => {
             .single();
 
         if (error || !admin) {
+            await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+            await recordFailedLogin(req, username, 'unknown_user');
             return res.status(401).json({
                 success: false,
                 message: 'Invalid username or password'
             });
         }
 
-        const isValidPassword = bcrypt.compareSync(password, admin.password);
+        if (admin.locked_until && new Date(admin.locked_until) > new Date()) {
+            await recordFailedLogin(req, username, 'account_locked', admin);
+            return lockedResponse(res, admin.locked_until);
+        }
+
+        const isValidPassword = await bcrypt.compare(password, admin.password);
 
         if (!isValidPassword) {
+            const lockedUntil = await recordFailedLogin(req, username, 'invalid_password', admin);
+            if (lockedUntil) {
+                return lockedResponse(res, lockedUntil);
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Invalid username or password'
             });
         }
 
-        req.session.adminId = admin.id;
-        req.session.adminUsername = admin.username;
+        if (!admin.is_active) {
+            await recordFailedLogin(req, username, 'account_disabled', admin);
+            return res.status(403).json({
+                success: false,
+                message: 'This account has been disabled'
+            });
+        }
+
+        if (admin.totp_enabled) {
+            req.session.pendingTwoFactor = {
+                adminId: admin.id,
+                username: admin.username,
+                expiresAt: Date.now() + TWO_FACTOR_TIMEOUT_MS
+            };
+            return res.json({
+                success: true,
+                twoFactorRequired: true,
+                message: 'Enter the code from your authenticator app'
+            });
+        }
 
-        res.json({
-            success: true,
-            message: 'Login successful',
-            admin: { id: admin.id, username: admin.username }
-        });
+        await completeLogin(req, res, admin);
     } catch (error) {
         console.error('Login error:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message || 'Unknown error',
-            stack: error.stack || 'No stack'
-        });
+        res.status(500).json({ success: false, message: 'Server error during login' });
+    }
+});
+
+/**
+ * POST /api/auth/login/2fa - Second login step: { code } or { recoveryCode }
+ */
+router.post('/login/2fa', isNotAuthenticated, loginThrottle, async (req, res) => {
+    try {
+        const pending = req.session.pendingTwoFactor;
+        const { code, recoveryCode } = req.body;
+
+        if (!pending || pending.expiresAt < Date.now()) {
+            delete req.session.pendingTwoFactor;
+            return res.status(401).json({
+                success: false,
+                expired: true,
+                message: 'Login session expired. Please sign in again.'
+            });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Authentication code or recovery code is required'
+            });
+        }
+
+        const supabase = getClient();
+        const { data: admin, error } = await supabase
+            .from('admins')
+            .select('*')
+            .eq('id', pending.adminId)
+            .single();
+
+        if (error || !admin || !admin.is_active || !admin.totp_enabled) {
+            delete req.session.pendingTwoFactor;
+            return res.status(401).json({
+                success: false,
+                expired: true,
+                message: 'Login session expired. Please sign in again.'
+            });
+        }
+
+        if (admin.locked_until && new Date(admin.locked_until) > new Date()) {
+            delete req.session.pendingTwoFactor;
+            return lockedResponse(res, admin.locked_until);
+        }
+
+        const isValid = await verifySecondFactor(admin, { code, recoveryCode });
+
+        if (!isValid) {
+            const lockedUntil = await recordFailedLogin(req, admin.username, 'invalid_2fa_code', admin);
+            if (lockedUntil) {
+                delete req.session.pendingTwoFactor;
+                return lockedResponse(res, lockedUntil);
+            }
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        await completeLogin(req, res, admin);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({ success: false, message: 'Server error during login' });
     }
 });
 
 /**
  * POST /api/auth/logout
  */
-router.post('/logout', isAuthenticated, (req, res) => {
+router.post('/logout', isLoggedIn, (req, res) => {
     req.session.destroy((err) => {
         if (err) {
             return res.status(500).json({ success: false, message: 'Error during logout' });
@@ -79,22 +276,49 @@ router.post('/logout', isAuthenticated, (req, res) => {
 /**
  * GET /api/auth/check
  */
-router.get('/check', (req, res) => {
-    if (req.session && req.session.adminId) {
-        res.json({
-            success: true,
-            authenticated: true,
-            admin: { id: req.session.adminId, username: req.session.adminUsername }
-        });
-    } else {
-        res.json({ success: true, authenticated: false });
+router.get('/check', async (req, res) => {
+    if (!req.session || !req.session.adminId) {
+        return res.json({ success: true, authenticated: false });
     }
+
+    try {
+        // Refresh the role from the database so changes apply without re-login
+        const supabase = getClient();
+        const { data: admin } = await supabase
+            .from('admins')
+            .select('role, is_active, must_change_password')
+            .eq('id', req.session.adminId)
+            .single();
+
+        if (!admin || !admin.is_active) {
+            return req.session.destroy(() => {
+                res.json({ success: true, authenticated: false });
+            });
+        }
+        req.session.adminRole = admin.role;
+        req.session.mustChangePassword = admin.must_change_password;
+    } catch (error) {
+        console.error('Auth check refresh error:', error.message);
+    }
+
+    res.json({
+        success: true,
+        authenticated: true,
+        admin: {
+            id: req.session.adminId,
+            username: req.session.adminUsername,
+            role: req.session.adminRole,
+            permissions: ROLE_PERMISSIONS[req.session.adminRole] || [],
+            mustChangePassword: !!req.session.mustChangePassword
+        },
+        csrfToken: getCsrfToken(req)
+    });
 });
 
 /**
  * PUT /api/auth/change-password
  */
-router.put('/change-password', isAuthenticated, async (req, res) => {
+router.put('/change-password', isLoggedIn, async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
 
@@ -105,13 +329,6 @@ router.put('/change-password', isAuthenticated, async (req, res) => {
             });
         }
 
-        if (newPassword.length < 6) {
-            return res.status(400).json({
-                success: false,
-                message: 'New password must be at least 6 characters'
-            });
-        }
-
         const supabase = getClient();
         const { data: admin, error } = await supabase
             .from('admins')
@@ -123,7 +340,7 @@ router.put('/change-password', isAuthenticated, async (req, res) => {
             return res.status(500).json({ success: false, message: 'Admin not found' });
         }
 
-        const isValidPassword = bcrypt.compareSync(currentPassword, admin.password);
+        const isValidPassword = await bcrypt.compare(currentPassword, admin.password);
 
         if (!isValidPassword) {
             return res.status(401).json({
@@ -132,17 +349,320 @@ router.put('/change-password', isAuthenticated, async (req, res) => {
             });
         }
 
-        const hashedPassword = bcrypt.hashSync(newPassword, 10);
-        await supabase
+        const policyError = validatePassword(newPassword, admin.username);
+        if (policyError) {
+            return res.status(400).json({ success: false, message: policyError });
+        }
+
+        if (newPassword === currentPassword) {
+            return res.status(400).json({
+                success: false,
+                message: 'New password must be different from the current password'
+            });
+        }
+
+        const hashedPassword = await bcrypt.hash(newPassword, 10);
+        const { error: updateErr } = await supabase
             .from('admins')
-            .update({ password: hashedPassword })
+            .update({
+                password: hashedPassword,
+                must_change_password: false,
+                updated_at: new Date().toISOString()
+            })
             .eq('id', req.session.adminId);
 
-        res.json({ success: true, message: 'Password changed successfully' });
+        if (updateErr) throw updateErr;
+
+        req.session.mustChangePassword = false;
+
+        // Sign out everywhere else unless explicitly asked to keep the other sessions
+        let revokedSessions = 0;
+        if (req.body.revokeOtherSessions !== false) {
+            revokedSessions = await getSessionStore().destroyByAdmin(req.session.adminId, req.sessionID);
+        }
+
+        await recordAudit(req, { action: 'change_password', entityType: 'admin', entityId: req.session.adminId, summary: req.session.adminUsername });
+
+        res.json({ success: true, message: 'Password changed successfully', revokedSessions });
     } catch (error) {
         console.error('Change password error:', error);
         res.status(500).json({ success: false, message: 'Server error while changing password' });
     }
 });
 
+// ========================================
+// ACTIVE SESSIONS
+// ========================================
+
+/**
+ * GET /api/auth/sessions - Active sessions of the logged-in admin
+ */
+router.get('/sessions', isAuthenticated, async (req, res) => {
+    try {
+        const sessions = await getSessionStore().listByAdmin(req.session.adminId);
+        res.json({
+            success: true,
+            data: sessions.map(({ sid, session }) => ({ ...session, current: sid === req.sessionID }))
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching sessions' });
+    }
+});
+
+/**
+ * POST /api/auth/sessions/revoke-others - Sign out every other session
+ */
+router.post('/sessions/revoke-others', isAuthenticated, async (req, res) => {
+    try {
+        const revoked = await getSessionStore().destroyByAdmin(req.session.adminId, req.sessionID);
+        res.json({ success: true, message: 'Other sessions revoked', revoked });
+    } catch (error) {
+        console.error('Revoke sessions error:', error);
+        res.status(500).json({ success: false, message: 'Error revoking sessions' });
+    }
+});
+
+/**
+ * DELETE /api/auth/sessions/:id - Sign out one session (not the current one)
+ */
+router.delete('/sessions/:id', isAuthenticated, async (req, res) => {
+    try {
+        if (req.params.id === sessionPublicId(req.sessionID)) {
+            return res.status(400).json({ success: false, message: 'Use logout to end the current session' });
+        }
+
+        const store = getSessionStore();
+        const sessions = await store.listByAdmin(req.session.adminId);
+        const target = sessions.find(({ session }) => session.id === req.params.id);
+
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'Session not found' });
+        }
+
+        await new Promise((resolve, reject) => {
+            store.destroy(target.sid, err => (err ? reject(err) : resolve()));
+        });
+
+        res.json({ success: true, message: 'Session revoked' });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({ success: false, message: 'Error revoking session' });
+    }
+});
+
+// ========================================
+// TWO-FACTOR AUTHENTICATION SETTINGS
+// ========================================
+
+/**
+ * GET /api/auth/2fa - Two-factor status of the logged-in admin
+ */
+router.get('/2fa', isAuthenticated, async (req, res) => {
+    try {
+        const supabase = getClient();
+        const { data: admin, error } = await supabase
+            .from('admins')
+            .select('totp_enabled, totp_recovery_codes')
+            .eq('id', req.session.adminId)
+            .single();
+
+        if (error || !admin) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                enabled: admin.totp_enabled,
+                recoveryCodesRemaining: admin.totp_enabled ? (admin.totp_recovery_codes || []).length : 0
+            }
+        });
+    } catch (error) {
+        console.error('Get 2FA status error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching two-factor status' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/setup - Generate a secret and QR code to scan
+ * The secret is kept in the session until POST /api/auth/2fa/enable confirms it.
+ */
+router.post('/2fa/setup', isAuthenticated, async (req, res) => {
+    try {
+        const supabase = getClient();
+        const { data: admin, error } = await supabase
+            .from('admins')
+            .select('username, totp_enabled')
+            .eq('id', req.session.adminId)
+            .single();
+
+        if (error || !admin) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        if (admin.totp_enabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is already enabled' });
+        }
+
+        const secret = totp.generateSecret();
+        const otpauthUrl = totp.buildOtpauthUrl(secret, admin.username, TOTP_ISSUER);
+        const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+        req.session.totpSetupSecret = secret;
+
+        res.json({ success: true, data: { secret, otpauthUrl, qrCode } });
+    } catch (error) {
+        console.error('2FA setup error:', error);
+        res.status(500).json({ success: false, message: 'Error starting two-factor setup' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/enable - Confirm setup with a code; returns recovery codes (shown once)
+ */
+router.post('/2fa/enable', isAuthenticated, async (req, res) => {
+    try {
+        const { code } = req.body;
+        const secret = req.session.totpSetupSecret;
+
+        if (!secret) {
+            return res.status(400).json({ success: false, message: 'Start the two-factor setup first' });
+        }
+
+        const step = totp.verifyCode(secret, code);
+        if (step === null) {
+            return res.status(400).json({ success: false, message: 'Invalid authentication code' });
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+
+        const supabase = getClient();
+        const { error } = await supabase
+            .from('admins')
+            .update({
+                totp_enabled: true,
+                totp_secret: secret,
+                totp_last_step: step,
+                totp_recovery_codes: hashes,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', req.session.adminId);
+
+        if (error) throw error;
+
+        delete req.session.totpSetupSecret;
+        await recordAudit(req, { action: 'enable_2fa', entityType: 'admin', entityId: req.session.adminId, summary: req.session.adminUsername });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            data: { recoveryCodes: codes }
+        });
+    } catch (error) {
+        console.error('2FA enable error:', error);
+        res.status(500).json({ success: false, message: 'Error enabling two-factor authentication' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/disable - Turn off 2FA: { password, code | recoveryCode }
+ */
+router.post('/2fa/disable', isAuthenticated, async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+
+        if (!password || (!code && !recoveryCode)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password and authentication code are required'
+            });
+        }
+
+        const supabase = getClient();
+        const { data: admin, error } = await supabase
+            .from('admins')
+            .select('*')
+            .eq('id', req.session.adminId)
+            .single();
+
+        if (error || !admin) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        if (!admin.totp_enabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!await bcrypt.compare(password, admin.password)) {
+            return res.status(401).json({ success: false, message: 'Password is incorrect' });
+        }
+
+        if (!await verifySecondFactor(admin, { code, recoveryCode })) {
+            return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+        }
+
+        const { error: updateErr } = await supabase
+            .from('admins')
+            .update({
+                totp_enabled: false,
+                totp_secret: null,
+                totp_last_step: null,
+                totp_recovery_codes: [],
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', admin.id);
+
+        if (updateErr) throw updateErr;
+
+        await recordAudit(req, { action: 'disable_2fa', entityType: 'admin', entityId: admin.id, summary: req.session.adminUsername });
+
+        res.json({ success: true, message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('2FA disable error:', error);
+        res.status(500).json({ success: false, message: 'Error disabling two-factor authentication' });
+    }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes - Replace the recovery codes: { code }
+ */
+router.post('/2fa/recovery-codes', isAuthenticated, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        const supabase = getClient();
+        const { data: admin, error } = await supabase
+            .from('admins')
+            .select('*')
+            .eq('id', req.session.adminId)
+            .single();
+
+        if (error || !admin) {
+            return res.status(404).json({ success: false, message: 'Admin not found' });
+        }
+
+        if (!admin.totp_enabled) {
+            return res.status(400).json({ success: false, message: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!await verifySecondFactor(admin, { code })) {
+            return res.status(401).json({ success: false, message: 'Invalid authentication code' });
+        }
+
+        const { codes, hashes } = await generateRecoveryCodes();
+        const { error: updateErr } = await supabase
+            .from('admins')
+            .update({ totp_recovery_codes: hashes, updated_at: new Date().toISOString() })
+            .eq('id', admin.id);
+
+        if (updateErr) throw updateErr;
+
+        res.json({ success: true, message: 'Recovery codes regenerated', data: { recoveryCodes: codes } });
+    } catch (error) {
+        console.error('2FA recovery codes error:', error);
+        res.status(500).json({ success: false, message: 'Error regenerating recovery codes' });
+    }
+});
+
 module.exports = router;
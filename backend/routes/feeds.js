@@ -0,0 +1,208 @@
+/**
+ * Feed Routes - RSS 2.0, Atom and JSON Feed of published news
+ * ?category=news|event|announcement for a single category, ?lang=fr for French (Arabic by default)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { DEFAULT_LANGUAGE, getRequestedLanguage, translate } = require('../utils/i18n');
+const { SITE_NAMES, CATEGORY_LABELS, escapeHtml, siteUrl, absoluteUrl, localizedPath, articlePath } = require('../utils/render');
+const { NEWS_CATEGORIES, newsBody, findLatestPublished } = require('../models/news');
+
+const FEED_SIZE = 20;
+const CACHE_MAX_AGE = 10 * 60; // seconds
+
+const DESCRIPTIONS = {
+    ar: 'آخر أخبار وإعلانات اتحاد الطلبة الموريتانيين بالجزائر',
+    fr: 'Dernières actualités et annonces de l\'Union des Étudiants Mauritaniens en Algérie'
+};
+
+const CONTENT_TYPES = {
+    rss: 'application/rss+xml; charset=utf-8',
+    atom: 'application/atom+xml; charset=utf-8',
+    json: 'application/feed+json; charset=utf-8'
+};
+
+function isSafeUrl(url) {
+    return /^(https?:\/\/|\/)/i.test(url || '');
+}
+
+/**
+ * Stable id of a news item (an editor can still change its slug and URL): a tag URI
+ * from the site host and the item's creation year
+ */
+function entryId(req, news) {
+    const host = new URL(siteUrl(req)).hostname;
+    return `tag:${host},${new Date(news.created_at).getUTCFullYear()}:news/${news.id}`;
+}
+
+/**
+ * Everything the three formats need, in the requested language
+ */
+async function loadFeed(req, category) {
+    const lang = getRequestedLanguage(req) || DEFAULT_LANGUAGE;
+    const news = await findLatestPublished({ category, limit: FEED_SIZE });
+
+    const items = news.map(item => {
+        const { html, excerpt } = newsBody(item, lang);
+        const image = isSafeUrl(item.image_url) ? absoluteUrl(req, item.image_url) : null;
+        return {
+            id: entryId(req, item),
+            url: absoluteUrl(req, articlePath(item, lang)),
+            title: translate(item, 'title', lang) || item.title,
+            // Language of the body actually shown: untranslated items fall back to Arabic
+            lang: item[`content_${lang}`] ? lang : DEFAULT_LANGUAGE,
+            html: image ? `<p><img src="${escapeHtml(image)}" alt=""></p>\n${html}` : html,
+            summary: excerpt,
+            image,
+            category: item.category,
+            categoryLabel: CATEGORY_LABELS[lang][item.category] || item.category,
+            published: new Date(item.created_at),
+            updated: new Date(item.updated_at || item.created_at)
+        };
+    });
+
+    const updated = items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), new Date(0));
+
+    return {
+        lang,
+        title: category ? `${SITE_NAMES[lang]} - ${CATEGORY_LABELS[lang][category]}` : SITE_NAMES[lang],
+        description: DESCRIPTIONS[lang],
+        homeUrl: absoluteUrl(req, localizedPath('/news', lang)),
+        selfUrl: absoluteUrl(req, req.originalUrl),
+        updated: items.length > 0 ? updated : null,
+        items
+    };
+}
+
+function renderRss(feed) {
+    const items = feed.items.map(item => `    <item>
+      <title>${escapeHtml(item.title)}</title>
+      <link>${escapeHtml(item.url)}</link>
+      <guid isPermaLink="false">${escapeHtml(item.id)}</guid>
+      <pubDate>${item.published.toUTCString()}</pubDate>
+      <category>${escapeHtml(item.categoryLabel)}</category>
+      <description>${escapeHtml(item.summary)}</description>
+      <content:encoded>${escapeHtml(item.html)}</content:encoded>
+    </item>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeHtml(feed.title)}</title>
+    <link>${escapeHtml(feed.homeUrl)}</link>
+    <description>${escapeHtml(feed.description)}</description>
+    <language>${feed.lang}</language>
+    <atom:link href="${escapeHtml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+${feed.updated ? `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>\n` : ''}${items}
+  </channel>
+</rss>
+`;
+}
+
+function renderAtom(feed) {
+    const entries = feed.items.map(item => `  <entry${item.lang !== feed.lang ? ` xml:lang="${item.lang}"` : ''}>
+    <title>${escapeHtml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeHtml(item.url)}"/>
+    <id>${escapeHtml(item.id)}</id>
+    <published>${item.published.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <category term="${escapeHtml(item.category)}" label="${escapeHtml(item.categoryLabel)}"/>
+    <summary>${escapeHtml(item.summary)}</summary>
+    <content type="html">${escapeHtml(item.html)}</content>
+  </entry>`).join('\n');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${feed.lang}">
+  <title>${escapeHtml(feed.title)}</title>
+  <subtitle>${escapeHtml(feed.description)}</subtitle>
+  <id>${escapeHtml(feed.selfUrl)}</id>
+  <link rel="self" type="application/atom+xml" href="${escapeHtml(feed.selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escapeHtml(feed.homeUrl)}"/>
+  <updated>${(feed.updated || new Date()).toISOString()}</updated>
+  <author><name>${escapeHtml(feed.title)}</name></author>
+${entries}
+</feed>
+`;
+}
+
+function renderJson(feed) {
+    return JSON.stringify({
+        version: 'https://jsonfeed.org/version/1.1',
+        title: feed.title,
+        home_page_url: feed.homeUrl,
+        feed_url: feed.selfUrl,
+        description: feed.description,
+        language: feed.lang,
+        authors: [{ name: feed.title }],
+        items: feed.items.map(item => ({
+            id: item.id,
+            url: item.url,
+            title: item.title,
+            content_html: item.html,
+            summary: item.summary,
+            ...(item.image ? { image: item.image } : {}),
+            date_published: item.published.toISOString(),
+            date_modified: item.updated.toISOString(),
+            tags: [item.categoryLabel],
+            language: item.lang
+        }))
+    }, null, 2);
+}
+
+const RENDERERS = { rss: renderRss, atom: renderAtom, json: renderJson };
+
+/**
+ * Send a feed with caching headers; Express answers 304 when the ETag or
+ * Last-Modified sent back by the reader still matches
+ */
+async function sendFeed(req, res, format) {
+    const category = req.query.category ? String(req.query.category) : null;
+    if (category && !NEWS_CATEGORIES.includes(category)) {
+        return res.status(400).json({ success: false, message: `Invalid category, use ${NEWS_CATEGORIES.join(', ')}` });
+    }
+
+    const feed = await loadFeed(req, category);
+
+    res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE}`);
+    if (feed.updated) res.set('Last-Modified', feed.updated.toUTCString());
+    res.type(CONTENT_TYPES[format]).send(RENDERERS[format](feed));
+}
+
+/**
+ * GET /feed.xml - RSS 2.0 feed of published news
+ */
+router.get('/feed.xml', async (req, res) => {
+    try {
+        await sendFeed(req, res, 'rss');
+    } catch (error) {
+        console.error('RSS feed error:', error);
+        res.status(500).json({ success: false, message: 'Error generating feed' });
+    }
+});
+
+/**
+ * GET /atom.xml - Atom feed of published news
+ */
+router.get('/atom.xml', async (req, res) => {
+    try {
+        await sendFeed(req, res, 'atom');
+    } catch (error) {
+        console.error('Atom feed error:', error);
+        res.status(500).json({ success: false, message: 'Error generating feed' });
+    }
+});
+
+/**
+ * GET /feed.json - JSON Feed 1.1 of published news
+ */
+router.get('/feed.json', async (req, res) => {
+    try {
+        await sendFeed(req, res, 'json');
+    } catch (error) {
+        console.error('JSON feed error:', error);
+        res.status(500).json({ success: false, message: 'Error generating feed' });
+    }
+});
+
+module.exports = router;
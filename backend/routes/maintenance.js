@@ -0,0 +1,184 @@
+/**
+ * Maintenance Routes - Diagnostics and repair operations (super-admin only)
+ * Mounted at /api/admin/maintenance
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const router = express.Router();
+const { getClient, getSeedStatus, forceReseed } = require('../models/database');
+const { requireRole } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { BUCKET_OPTIONS } = require('../utils/storage');
+
+// Confirmation tokens for destructive operations expire after 5 minutes
+const CONFIRM_TOKEN_TTL = 5 * 60 * 1000;
+
+// Operations that need a confirmation token before they run
+const DESTRUCTIVE_ACTIONS = ['reseed'];
+
+router.use(requireRole('super_admin'));
+
+/**
+ * Check (and consume) the confirmation token stored in the session for an action
+ */
+function consumeConfirmToken(req, action, token) {
+    const tokens = req.session.maintenanceTokens || {};
+    const stored = tokens[action];
+    delete tokens[action];
+    req.session.maintenanceTokens = tokens;
+
+    if (!stored || !token || stored.expiresAt < Date.now()) return false;
+
+    const expected = Buffer.from(stored.token);
+    const given = Buffer.from(String(token));
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * POST /api/admin/maintenance/status - Server, database and seed diagnostics
+ */
+router.post('/status', async (req, res) => {
+    try {
+        const seedStatus = await getSeedStatus();
+        res.json({
+            success: true,
+            data: {
+                timestamp: new Date().toISOString(),
+                node_version: process.version,
+                env: process.env.NODE_ENV || 'development',
+                uptime: Math.round(process.uptime()),
+                db: req.app.locals.dbStatus,
+                seed: seedStatus,
+                env_loaded: {
+                    SUPABASE_URL: !!process.env.SUPABASE_URL,
+                    SUPABASE_SERVICE_ROLE_KEY: !!process.env.SUPABASE_SERVICE_ROLE_KEY,
+                    SESSION_SECRET: !!process.env.SESSION_SECRET
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Maintenance status error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching status' });
+    }
+});
+
+/**
+ * POST /api/admin/maintenance/confirm-token - Issue a one-time token for a destructive action
+ * Body: { action }
+ */
+router.post('/confirm-token', (req, res) => {
+    const { action } = req.body;
+
+    if (!DESTRUCTIVE_ACTIONS.includes(action)) {
+        return res.status(400).json({ success: false, message: 'Invalid action' });
+    }
+
+    const token = crypto.randomBytes(16).toString('hex');
+    const expiresAt = Date.now() + CONFIRM_TOKEN_TTL;
+
+    req.session.maintenanceTokens = {
+        ...(req.session.maintenanceTokens || {}),
+        [action]: { token, expiresAt }
+    };
+
+    res.json({
+        success: true,
+        data: { action, token, expires_at: new Date(expiresAt).toISOString() }
+    });
+});
+
+/**
+ * POST /api/admin/maintenance/storage-check - List buckets and try a test upload
+ */
+router.post('/storage-check', async (req, res) => {
+    try {
+        const supabase = getClient();
+
+        const { data: buckets, error: bucketsErr } = await supabase.storage.listBuckets();
+        if (bucketsErr) throw bucketsErr;
+
+        const uploadsBucket = buckets.find(b => b.name === 'uploads');
+
+        // Try test upload
+        let testUpload = { success: false };
+        if (uploadsBucket) {
+            const testPath = '_test/diag-' + Date.now() + '.txt';
+            const { error: upErr } = await supabase.storage
+                .from('uploads')
+                .upload(testPath, Buffer.from('test'), { contentType: 'text/plain', upsert: true });
+            if (upErr) {
+                testUpload = { success: false, error: upErr.message };
+            } else {
+                await supabase.storage.from('uploads').remove([testPath]);
+                testUpload = { success: true };
+            }
+        }
+
+        res.json({
+            success: true,
+            data: {
+                buckets: buckets.map(b => ({ name: b.name, public: b.public, created_at: b.created_at })),
+                uploadsBucket: uploadsBucket
+                    ? { exists: true, public: uploadsBucket.public, file_size_limit: uploadsBucket.file_size_limit, allowed_mime_types: uploadsBucket.allowed_mime_types }
+                    : { exists: false },
+                testUpload
+            }
+        });
+    } catch (error) {
+        console.error('Storage check error:', error);
+        res.status(500).json({ success: false, message: 'Error checking storage' });
+    }
+});
+
+/**
+ * POST /api/admin/maintenance/fix-bucket - Make the uploads bucket public with the default limits
+ */
+router.post('/fix-bucket', async (req, res) => {
+    try {
+        const supabase = getClient();
+
+        const { error } = await supabase.storage.updateBucket('uploads', BUCKET_OPTIONS);
+        if (error) throw error;
+
+        const { data: buckets, error: listErr } = await supabase.storage.listBuckets();
+        if (listErr) throw listErr;
+        const bucket = buckets.find(b => b.name === 'uploads');
+
+        await recordAudit(req, { action: 'fix_bucket', entityType: 'maintenance', entityId: 'uploads' });
+
+        res.json({
+            success: true,
+            message: 'Bucket updated to public',
+            data: { public: bucket.public, file_size_limit: bucket.file_size_limit, allowed_mime_types: bucket.allowed_mime_types }
+        });
+    } catch (error) {
+        console.error('Fix bucket error:', error);
+        res.status(500).json({ success: false, message: 'Error updating bucket' });
+    }
+});
+
+/**
+ * POST /api/admin/maintenance/reseed - Delete and re-create the default admin, specialties and page content
+ * Body: { confirmToken } from POST /confirm-token with action "reseed"
+ */
+router.post('/reseed', async (req, res) => {
+    try {
+        if (!consumeConfirmToken(req, 'reseed', req.body.confirmToken)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid confirmation token is required for this action'
+            });
+        }
+
+        const result = await forceReseed();
+        console.log(`Database re-seeded by admin ${req.session.adminUsername}`);
+        await recordAudit(req, { action: 'reseed', entityType: 'maintenance', after: result });
+        res.json({ success: true, message: 'Re-seeded successfully', data: result });
+    } catch (error) {
+        console.error('Reseed error:', error);
+        res.status(500).json({ success: false, message: 'Error re-seeding database' });
+    }
+});
+
+module.exports = router;
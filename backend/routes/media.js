@@ -8,60 +8,75 @@
 const express = require('express');
 const router = express.Router();
 const { getClient } = require('../models/database');
-const { isAuthenticated: requireAuth } = require('../middleware/auth');
+const { parseSpecialty, findActiveSpecialties } = require('../models/specialties');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { DOCUMENT_TYPES, MAX_IMAGE_SIZE, MAX_DOCUMENT_SIZE, extractStoragePath } = require('../utils/storage');
+const { getRequestedLanguage, localize, pickTranslations, withLegacyColumns } = require('../utils/i18n');
 const multer = require('multer');
 const path = require('path');
 
+// Fields stored as <field>_ar / <field>_fr
+const HERO_FIELDS = ['title', 'subtitle', 'link_text'];
+const SPECIALTY_FIELDS = ['description', 'duration', 'items'];
+// "name" is the specialty identifier; its translations are name_ar / name_fr
+const SPECIALTY_LOCALIZED_FIELDS = ['name', ...SPECIALTY_FIELDS];
+
 // ========================================
 // MULTER CONFIGURATION (memory storage)
 // ========================================
 
 const storage = multer.memoryStorage();
 
-const imageFilter = (req, file, cb) => {
-    const allowedTypes = /jpeg|jpg|png|gif|webp/;
-    const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedTypes.test(file.mimetype);
+const IMAGE_TYPES = /jpeg|jpg|png|gif|webp/;
+
+// Upload types displayed as images on the site
+const IMAGE_ONLY_TYPES = ['hero', 'specialties'];
+
+function isImage(file) {
+    return IMAGE_TYPES.test(path.extname(file.originalname).toLowerCase()) && IMAGE_TYPES.test(file.mimetype);
+}
+
+function isDocument(file) {
+    const mimeTypes = DOCUMENT_TYPES[path.extname(file.originalname).toLowerCase()];
+    return Boolean(mimeTypes && mimeTypes.includes(file.mimetype));
+}
+
+const DOCUMENT_EXTENSIONS = Object.keys(DOCUMENT_TYPES).map(ext => ext.slice(1)).join(', ');
+const IMAGES_ONLY_ERROR = 'Only image files are allowed (jpeg, jpg, png, gif, webp)';
+const UNSUPPORTED_FILE_ERROR = `Only images (jpeg, jpg, png, gif, webp) and documents (${DOCUMENT_EXTENSIONS}) are allowed`;
+
+const fileFilter = (req, file, cb) => {
+    const imagesOnly = IMAGE_ONLY_TYPES.includes(req.params.type);
 
-    if (extname && mimetype) {
+    if (isImage(file) || (!imagesOnly && isDocument(file))) {
         cb(null, true);
     } else {
-        cb(new Error('Only image files are allowed (jpeg, jpg, png, gif, webp)'), false);
+        cb(new Error(imagesOnly ? IMAGES_ONLY_ERROR : UNSUPPORTED_FILE_ERROR), false);
     }
 };
 
 const upload = multer({
     storage: storage,
-    fileFilter: imageFilter,
+    fileFilter,
     limits: {
-        fileSize: 5 * 1024 * 1024 // 5MB limit
+        fileSize: MAX_DOCUMENT_SIZE // images are checked against MAX_IMAGE_SIZE after upload
     }
 });
 
 // ========================================
-// STORAGE HELPERS
+// BILINGUAL HELPERS
 // ========================================
 
 /**
- * Extract the storage path from a Supabase public URL or legacy relative path.
- * Returns the path inside the "uploads" bucket, e.g. "hero/12345.jpg"
+ * Translated specialty fields of a request body, item lists as JSON text
  */
-function extractStoragePath(url) {
-    if (!url) return null;
-
-    // Supabase public URL
-    const supabaseMarker = '/storage/v1/object/public/uploads/';
-    const idx = url.indexOf(supabaseMarker);
-    if (idx !== -1) {
-        return url.substring(idx + supabaseMarker.length);
-    }
-
-    // Legacy relative path
-    if (url.startsWith('/assets/uploads/')) {
-        return url.replace('/assets/uploads/', '');
-    }
-
-    return null;
+function specialtyTranslations(body) {
+    const values = pickTranslations(body, SPECIALTY_FIELDS);
+    ['items_ar', 'items_fr'].forEach(key => {
+        if (Array.isArray(values[key])) values[key] = JSON.stringify(values[key]);
+    });
+    return withLegacyColumns(values, SPECIALTY_FIELDS);
 }
 
 // ========================================
@@ -69,7 +84,7 @@ function extractStoragePath(url) {
 // ========================================
 
 /**
- * GET /api/media/hero - Get all active hero slides (public)
+ * GET /api/media/hero - Get all active hero slides (public, supports ?lang=)
  */
 router.get('/hero', async (req, res) => {
     try {
@@ -81,7 +96,9 @@ router.get('/hero', async (req, res) => {
             .order('display_order', { ascending: true });
 
         if (error) throw error;
-        res.json({ success: true, data: slides });
+
+        const lang = getRequestedLanguage(req);
+        res.json({ success: true, data: lang ? slides.map(slide => localize(slide, HERO_FIELDS, lang)) : slides });
     } catch (error) {
         console.error('Error fetching hero slides:', error);
         res.status(500).json({ success: false, message: 'خطأ في جلب الشرائح' });
@@ -91,7 +108,7 @@ router.get('/hero', async (req, res) => {
 /**
  * GET /api/media/hero/all - Get all hero slides (admin)
  */
-router.get('/hero/all', requireAuth, async (req, res) => {
+router.get('/hero/all', requirePermission('media'), async (req, res) => {
     try {
         const supabase = getClient();
         const { data: slides, error } = await supabase
@@ -110,9 +127,9 @@ router.get('/hero/all', requireAuth, async (req, res) => {
 /**
  * POST /api/media/hero - Add new hero slide (admin)
  */
-router.post('/hero', requireAuth, async (req, res) => {
+router.post('/hero', requirePermission('media'), async (req, res) => {
     try {
-        const { title, subtitle, image_url, link_url, link_text, display_order } = req.body;
+        const { image_url, link_url, display_order } = req.body;
 
         if (!image_url) {
             return res.status(400).json({ success: false, message: 'رابط الصورة مطلوب' });
@@ -122,18 +139,18 @@ router.post('/hero', requireAuth, async (req, res) => {
         const { data, error } = await supabase
             .from('hero_slides')
             .insert({
-                title: title || '',
-                subtitle: subtitle || '',
+                ...withLegacyColumns(pickTranslations(req.body, HERO_FIELDS), HERO_FIELDS),
                 image_url,
                 link_url: link_url || '',
-                link_text: link_text || '',
                 display_order: display_order || 0
             })
-            .select('id')
+            .select()
             .single();
 
         if (error) throw error;
 
+        await recordAudit(req, { action: 'create', entityType: 'hero_slide', entityId: data.id, after: data, summary: data.title });
+
         res.json({
             success: true,
             message: 'تمت إضافة الشريحة بنجاح',
@@ -148,26 +165,38 @@ router.post('/hero', requireAuth, async (req, res) => {
 /**
  * PUT /api/media/hero/:id - Update hero slide (admin)
  */
-router.put('/hero/:id', requireAuth, async (req, res) => {
+router.put('/hero/:id', requirePermission('media'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, subtitle, image_url, link_url, link_text, display_order, is_active } = req.body;
+        const { image_url, link_url, display_order, is_active } = req.body;
 
         const supabase = getClient();
-        const { error } = await supabase
+
+        const { data: existing } = await supabase
+            .from('hero_slides')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        const { data: updated, error } = await supabase
             .from('hero_slides')
             .update({
-                title,
-                subtitle,
+                ...withLegacyColumns(pickTranslations(req.body, HERO_FIELDS), HERO_FIELDS),
                 image_url,
                 link_url,
-                link_text,
                 display_order,
                 is_active: is_active ? true : false
             })
-            .eq('id', id);
+            .eq('id', id)
+            .select()
+            .maybeSingle();
 
         if (error) throw error;
+
+        if (updated) {
+            await recordAudit(req, { action: 'update', entityType: 'hero_slide', entityId: id, before: existing, after: updated, summary: updated.title });
+        }
+
         res.json({ success: true, message: 'تم تحديث الشريحة بنجاح' });
     } catch (error) {
         console.error('Error updating hero slide:', error);
@@ -178,7 +207,7 @@ router.put('/hero/:id', requireAuth, async (req, res) => {
 /**
  * DELETE /api/media/hero/:id - Delete hero slide (admin)
  */
-router.delete('/hero/:id', requireAuth, async (req, res) => {
+router.delete('/hero/:id', requirePermission('media'), async (req, res) => {
     try {
         const { id } = req.params;
         const supabase = getClient();
@@ -186,13 +215,17 @@ router.delete('/hero/:id', requireAuth, async (req, res) => {
         // Get slide to delete its image
         const { data: slide } = await supabase
             .from('hero_slides')
-            .select('image_url')
+            .select('*')
             .eq('id', id)
             .single();
 
         const { error } = await supabase.from('hero_slides').delete().eq('id', id);
         if (error) throw error;
 
+        if (slide) {
+            await recordAudit(req, { action: 'delete', entityType: 'hero_slide', entityId: id, before: slide, summary: slide.title });
+        }
+
         // Delete image from Supabase Storage
         if (slide && slide.image_url) {
             const storagePath = extractStoragePath(slide.image_url);
@@ -214,25 +247,19 @@ router.delete('/hero/:id', requireAuth, async (req, res) => {
 
 /**
  * GET /api/media/specialties - Get all active specialties (public)
+ * ?lang=ar|fr also returns description/duration/items and display_name in that language
  */
 router.get('/specialties', async (req, res) => {
     try {
-        const supabase = getClient();
-        const { data: specialties, error } = await supabase
-            .from('specialties')
-            .select('*')
-            .eq('is_active', true)
-            .order('display_order', { ascending: true });
-
-        if (error) throw error;
+        const parsed = await findActiveSpecialties();
+        const lang = getRequestedLanguage(req);
 
-        // Parse items JSON
-        const parsed = specialties.map(spec => ({
-            ...spec,
-            items: spec.items ? JSON.parse(spec.items) : []
-        }));
-
-        res.json({ success: true, data: parsed });
+        res.json({
+            success: true,
+            data: lang
+                ? parsed.map(spec => localize(spec, SPECIALTY_LOCALIZED_FIELDS, lang, { name: 'display_name' }))
+                : parsed
+        });
     } catch (error) {
         console.error('Error fetching specialties:', error);
         res.status(500).json({ success: false, message: 'خطأ في جلب التخصصات' });
@@ -242,7 +269,7 @@ router.get('/specialties', async (req, res) => {
 /**
  * GET /api/media/specialties/all - Get all specialties (admin)
  */
-router.get('/specialties/all', requireAuth, async (req, res) => {
+router.get('/specialties/all', requirePermission('media'), async (req, res) => {
     try {
         const supabase = getClient();
         const { data: specialties, error } = await supabase
@@ -252,12 +279,7 @@ router.get('/specialties/all', requireAuth, async (req, res) => {
 
         if (error) throw error;
 
-        const parsed = specialties.map(spec => ({
-            ...spec,
-            items: spec.items ? JSON.parse(spec.items) : []
-        }));
-
-        res.json({ success: true, data: parsed });
+        res.json({ success: true, data: specialties.map(parseSpecialty) });
     } catch (error) {
         console.error('Error fetching all specialties:', error);
         res.status(500).json({ success: false, message: 'خطأ في جلب التخصصات' });
@@ -265,7 +287,7 @@ router.get('/specialties/all', requireAuth, async (req, res) => {
 });
 
 /**
- * GET /api/media/specialties/:id - Get single specialty
+ * GET /api/media/specialties/:id - Get single specialty (supports ?lang=)
  */
 router.get('/specialties/:id', async (req, res) => {
     try {
@@ -281,9 +303,13 @@ router.get('/specialties/:id', async (req, res) => {
             return res.status(404).json({ success: false, message: 'التخصص غير موجود' });
         }
 
-        specialty.items = specialty.items ? JSON.parse(specialty.items) : [];
+        const lang = getRequestedLanguage(req);
+        const parsed = parseSpecialty(specialty);
 
-        res.json({ success: true, data: specialty });
+        res.json({
+            success: true,
+            data: lang ? localize(parsed, SPECIALTY_LOCALIZED_FIELDS, lang, { name: 'display_name' }) : parsed
+        });
     } catch (error) {
         console.error('Error fetching specialty:', error);
         res.status(500).json({ success: false, message: 'خطأ في جلب التخصص' });
@@ -293,15 +319,15 @@ router.get('/specialties/:id', async (req, res) => {
 /**
  * POST /api/media/specialties - Add new specialty (admin)
  */
-router.post('/specialties', requireAuth, async (req, res) => {
+router.post('/specialties', requirePermission('media'), async (req, res) => {
     try {
-        const { name, name_ar, icon, description, image_url, video_url, video_type, items, duration, display_order } = req.body;
+        const { name, name_ar, name_fr, icon, image_url, video_url, video_type, display_order } = req.body;
 
         if (!name || !name_ar) {
             return res.status(400).json({ success: false, message: 'اسم التخصص مطلوب' });
         }
 
-        const itemsJson = Array.isArray(items) ? JSON.stringify(items) : items;
+        const translations = specialtyTranslations(req.body);
 
         const supabase = getClient();
         const { data, error } = await supabase
@@ -309,20 +335,24 @@ router.post('/specialties', requireAuth, async (req, res) => {
             .insert({
                 name,
                 name_ar,
+                name_fr: name_fr || null,
                 icon: icon || '📚',
-                description: description || '',
+                description: '',
+                duration: '',
+                items: '[]',
+                ...translations,
                 image_url: image_url || '',
                 video_url: video_url || '',
                 video_type: video_type || 'youtube',
-                items: itemsJson || '[]',
-                duration: duration || '',
                 display_order: display_order || 0
             })
-            .select('id')
+            .select()
             .single();
 
         if (error) throw error;
 
+        await recordAudit(req, { action: 'create', entityType: 'specialty', entityId: data.id, after: data, summary: data.name_ar });
+
         res.json({
             success: true,
             message: 'تمت إضافة التخصص بنجاح',
@@ -337,33 +367,44 @@ router.post('/specialties', requireAuth, async (req, res) => {
 /**
  * PUT /api/media/specialties/:id - Update specialty (admin)
  */
-router.put('/specialties/:id', requireAuth, async (req, res) => {
+router.put('/specialties/:id', requirePermission('media'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { name, name_ar, icon, description, image_url, video_url, video_type, items, duration, display_order, is_active } = req.body;
-
-        const itemsJson = Array.isArray(items) ? JSON.stringify(items) : items;
+        const { name, name_ar, name_fr, icon, image_url, video_url, video_type, display_order, is_active } = req.body;
 
         const supabase = getClient();
-        const { error } = await supabase
+
+        const { data: existing } = await supabase
+            .from('specialties')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        const { data: updated, error } = await supabase
             .from('specialties')
             .update({
                 name,
                 name_ar,
+                name_fr,
                 icon,
-                description,
+                ...specialtyTranslations(req.body),
                 image_url,
                 video_url,
                 video_type,
-                items: itemsJson,
-                duration,
                 display_order,
                 is_active: is_active ? true : false,
                 updated_at: new Date().toISOString()
             })
-            .eq('id', id);
+            .eq('id', id)
+            .select()
+            .maybeSingle();
 
         if (error) throw error;
+
+        if (updated) {
+            await recordAudit(req, { action: 'update', entityType: 'specialty', entityId: id, before: existing, after: updated, summary: updated.name_ar });
+        }
+
         res.json({ success: true, message: 'تم تحديث التخصص بنجاح' });
     } catch (error) {
         console.error('Error updating specialty:', error);
@@ -374,7 +415,7 @@ router.put('/specialties/:id', requireAuth, async (req, res) => {
 /**
  * DELETE /api/media/specialties/:id - Delete specialty (admin)
  */
-router.delete('/specialties/:id', requireAuth, async (req, res) => {
+router.delete('/specialties/:id', requirePermission('media'), async (req, res) => {
     try {
         const { id } = req.params;
         const supabase = getClient();
@@ -382,13 +423,17 @@ router.delete('/specialties/:id', requireAuth, async (req, res) => {
         // Get specialty to delete its image
         const { data: specialty } = await supabase
             .from('specialties')
-            .select('image_url')
+            .select('*')
             .eq('id', id)
             .single();
 
         const { error } = await supabase.from('specialties').delete().eq('id', id);
         if (error) throw error;
 
+        if (specialty) {
+            await recordAudit(req, { action: 'delete', entityType: 'specialty', entityId: id, before: specialty, summary: specialty.name_ar });
+        }
+
         // Delete image from Supabase Storage
         if (specialty && specialty.image_url) {
             const storagePath = extractStoragePath(specialty.image_url);
@@ -409,27 +454,36 @@ router.delete('/specialties/:id', requireAuth, async (req, res) => {
 // ========================================
 
 /**
- * POST /api/media/upload/:type - Upload image to Supabase Storage (admin)
- * type can be: hero, specialties, news, general
+ * POST /api/media/upload/:type - Upload an image or document to Supabase Storage (admin)
+ * type can be: hero, specialties, news, general (hero and specialties accept images only)
+ * The file is sent as "image" or "file"; images up to 5MB, documents up to 10MB
  */
-router.post('/upload/:type', requireAuth, upload.single('image'), async (req, res) => {
+router.post('/upload/:type', requirePermission('media'), upload.fields([{ name: 'image', maxCount: 1 }, { name: 'file', maxCount: 1 }]), async (req, res) => {
     try {
-        if (!req.file) {
+        const file = ((req.files && (req.files.image || req.files.file)) || [])[0];
+        if (!file) {
             return res.status(400).json({ success: false, message: 'لم يتم تحميل أي ملف' });
         }
 
+        const kind = isImage(file) ? 'image' : 'file';
+        // multer reads the file name as latin1; Arabic names are UTF-8
+        const originalName = Buffer.from(file.originalname, 'latin1').toString('utf8');
+        if (kind === 'image' && file.size > MAX_IMAGE_SIZE) {
+            return res.status(400).json({ success: false, message: 'حجم الصورة يتجاوز 5 ميغابايت' });
+        }
+
         const type = req.params.type || 'general';
-        const ext = path.extname(req.file.originalname).toLowerCase();
+        const ext = path.extname(file.originalname).toLowerCase();
         const uniqueName = Date.now() + '-' + Math.round(Math.random() * 1E9) + ext;
         const storagePath = `${type}/${uniqueName}`;
 
-        console.log('[Upload] file:', req.file.originalname, 'size:', req.file.size, 'mime:', req.file.mimetype, 'path:', storagePath);
+        console.log('[Upload] file:', originalName, 'size:', file.size, 'mime:', file.mimetype, 'path:', storagePath);
 
         const supabase = getClient();
         const { data: uploadData, error: uploadError } = await supabase.storage
             .from('uploads')
-            .upload(storagePath, req.file.buffer, {
-                contentType: req.file.mimetype,
+            .upload(storagePath, file.buffer, {
+                contentType: file.mimetype,
                 upsert: false
             });
 
@@ -449,13 +503,23 @@ router.post('/upload/:type', requireAuth, upload.single('image'), async (req, re
             .from('uploads')
             .getPublicUrl(storagePath);
 
+        await recordAudit(req, {
+            action: 'upload',
+            entityType: 'file',
+            entityId: storagePath,
+            after: { url: urlData.publicUrl, original_name: originalName, size: file.size }
+        });
+
         res.json({
             success: true,
-            message: 'تم رفع الصورة بنجاح',
+            message: kind === 'image' ? 'تم رفع الصورة بنجاح' : 'تم رفع الملف بنجاح',
             data: {
                 url: urlData.publicUrl,
                 filename: uniqueName,
-                size: req.file.size
+                original_name: originalName,
+                mime_type: file.mimetype,
+                kind,
+                size: file.size
             }
         });
     } catch (error) {
@@ -471,7 +535,7 @@ router.post('/upload/:type', requireAuth, upload.single('image'), async (req, re
 /**
  * DELETE /api/media/upload - Delete uploaded file from Supabase Storage (admin)
  */
-router.delete('/upload', requireAuth, async (req, res) => {
+router.delete('/upload', requirePermission('media'), async (req, res) => {
     try {
         const { url } = req.body;
 
@@ -491,6 +555,8 @@ router.delete('/upload', requireAuth, async (req, res) => {
 
         if (error) throw error;
 
+        await recordAudit(req, { action: 'delete', entityType: 'file', entityId: storagePath, before: { url } });
+
         res.json({ success: true, message: 'تم حذف الملف بنجاح' });
     } catch (error) {
         console.error('Error deleting file:', error);
@@ -564,12 +630,15 @@ function parseVideoUrl(url) {
 router.use((error, req, res, next) => {
     if (error instanceof multer.MulterError) {
         if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({ success: false, message: 'حجم الملف كبير جداً (الحد الأقصى 5MB)' });
+            return res.status(400).json({ success: false, message: 'حجم الملف كبير جداً (الحد الأقصى 5MB للصور و10MB للمستندات)' });
         }
     }
-    if (error.message === 'Only image files are allowed (jpeg, jpg, png, gif, webp)') {
+    if (error.message === IMAGES_ONLY_ERROR) {
         return res.status(400).json({ success: false, message: 'يُسمح فقط بملفات الصور (jpeg, jpg, png, gif, webp)' });
     }
+    if (error.message === UNSUPPORTED_FILE_ERROR) {
+        return res.status(400).json({ success: false, message: `يُسمح فقط بالصور (jpeg, jpg, png, gif, webp) والمستندات (${DOCUMENT_EXTENSIONS})` });
+    }
     next(error);
 });
 
@@ -0,0 +1,440 @@
+/**
+ * Memberships Routes - Membership applications and admin review
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getClient } = require('../models/database');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { formatExportDate, getExportOptions, fetchAllRows, sendExport } = require('../utils/export');
+
+// ========================================
+// REFERENCE DATA
+// ========================================
+
+const ACADEMIC_LEVELS = [
+    { value: 'preparatory', ar: 'سنة تحضيرية', fr: 'Année préparatoire' },
+    { value: 'licence_1', ar: 'ليسانس - السنة الأولى', fr: 'Licence 1' },
+    { value: 'licence_2', ar: 'ليسانس - السنة الثانية', fr: 'Licence 2' },
+    { value: 'licence_3', ar: 'ليسانس - السنة الثالثة', fr: 'Licence 3' },
+    { value: 'master_1', ar: 'ماستر - السنة الأولى', fr: 'Master 1' },
+    { value: 'master_2', ar: 'ماستر - السنة الثانية', fr: 'Master 2' },
+    { value: 'engineering', ar: 'طور المهندس', fr: 'Cycle ingénieur' },
+    { value: 'medicine', ar: 'الدراسات الطبية', fr: 'Études médicales' },
+    { value: 'doctorate', ar: 'دكتوراه', fr: 'Doctorat' },
+    { value: 'vocational', ar: 'تكوين مهني', fr: 'Formation professionnelle' }
+];
+
+// Algerian wilayas, in official code order
+const WILAYAS = [
+    'أدرار', 'الشلف', 'الأغواط', 'أم البواقي', 'باتنة', 'بجاية', 'بسكرة', 'بشار',
+    'البليدة', 'البويرة', 'تمنراست', 'تبسة', 'تلمسان', 'تيارت', 'تيزي وزو', 'الجزائر',
+    'الجلفة', 'جيجل', 'سطيف', 'سعيدة', 'سكيكدة', 'سيدي بلعباس', 'عنابة', 'قالمة',
+    'قسنطينة', 'المدية', 'مستغانم', 'المسيلة', 'معسكر', 'ورقلة', 'وهران', 'البيض',
+    'إليزي', 'برج بوعريريج', 'بومرداس', 'الطارف', 'تندوف', 'تيسمسيلت', 'الوادي', 'خنشلة',
+    'سوق أهراس', 'تيبازة', 'ميلة', 'عين الدفلى', 'النعامة', 'عين تموشنت', 'غرداية', 'غليزان',
+    'تيميمون', 'برج باجي مختار', 'أولاد جلال', 'بني عباس', 'عين صالح', 'عين قزام', 'تقرت', 'جانت',
+    'المغير', 'المنيعة'
+];
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const STATUS_LABELS = {
+    pending: { ar: 'قيد المراجعة', fr: 'En attente' },
+    approved: { ar: 'مقبول', fr: 'Approuvée' },
+    rejected: { ar: 'مرفوض', fr: 'Refusée' }
+};
+
+// Columns of the spreadsheet export, in reading order
+const EXPORT_COLUMNS = [
+    { key: 'id', header: { ar: 'الرقم', fr: 'N°' }, width: 8 },
+    { key: 'created_at', header: { ar: 'تاريخ التقديم', fr: 'Date de dépôt' }, value: row => formatExportDate(row.created_at) },
+    { key: 'full_name', header: { ar: 'الاسم الكامل', fr: 'Nom complet' }, width: 25 },
+    { key: 'email', header: { ar: 'البريد الإلكتروني', fr: 'E-mail' }, width: 28 },
+    { key: 'phone', header: { ar: 'الهاتف', fr: 'Téléphone' } },
+    { key: 'university', header: { ar: 'الجامعة', fr: 'Université' }, width: 30 },
+    { key: 'major', header: { ar: 'التخصص', fr: 'Spécialité' }, width: 22 },
+    {
+        key: 'academic_level',
+        header: { ar: 'المستوى الدراسي', fr: 'Niveau d\'études' },
+        width: 22,
+        value: (row, lang) => {
+            const level = ACADEMIC_LEVELS.find(l => l.value === row.academic_level);
+            return level ? level[lang] : row.academic_level;
+        }
+    },
+    { key: 'wilaya', header: { ar: 'الولاية', fr: 'Wilaya' } },
+    { key: 'status', header: { ar: 'الحالة', fr: 'Statut' }, value: (row, lang) => (STATUS_LABELS[row.status] || {})[lang] || row.status }
+];
+
+/**
+ * Restrict a memberships query to the list filters of a request
+ * @param {Object} query - Supabase query on the memberships table
+ * @param {Object} params - status, wilaya, academic_level, search, from, to
+ * @returns {{ query: Object, error: string|null }}
+ */
+function applyMembershipFilters(query, { status, wilaya, academic_level, search, from, to }) {
+    if (status && status !== 'all') {
+        query = query.eq('status', status);
+    }
+    if (wilaya) {
+        query = query.eq('wilaya', wilaya);
+    }
+    if (academic_level) {
+        query = query.eq('academic_level', academic_level);
+    }
+    if (search) {
+        const term = search.replace(/[%,()]/g, ' ').trim();
+        if (term) {
+            query = query.or(`full_name.ilike.%${term}%,email.ilike.%${term}%,university.ilike.%${term}%,major.ilike.%${term}%`);
+        }
+    }
+    if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate)) return { query, error: 'Invalid "from" date' };
+        query = query.gte('created_at', fromDate.toISOString());
+    }
+    if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate)) return { query, error: 'Invalid "to" date' };
+        // A bare date means "until the end of that day"
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            toDate.setUTCHours(23, 59, 59, 999);
+        }
+        query = query.lte('created_at', toDate.toISOString());
+    }
+
+    return { query, error: null };
+}
+
+/**
+ * Record an entry in the status history of an application
+ */
+async function addHistory(supabase, membershipId, fromStatus, toStatus, note, session) {
+    const { error } = await supabase
+        .from('membership_history')
+        .insert({
+            membership_id: membershipId,
+            from_status: fromStatus,
+            to_status: toStatus,
+            note: note || null,
+            admin_id: session ? session.adminId : null,
+            admin_username: session ? session.adminUsername : null
+        });
+    if (error) throw error;
+}
+
+/**
+ * GET /api/memberships/options - Academic levels and wilayas for forms (public)
+ */
+router.get('/options', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            academic_levels: ACADEMIC_LEVELS,
+            wilayas: WILAYAS.map((name, index) => ({ code: index + 1, name })),
+            statuses: STATUSES
+        }
+    });
+});
+
+/**
+ * POST /api/memberships - Submit application (public)
+ */
+router.post('/', async (req, res) => {
+    try {
+        const { full_name, email, phone, university, major, academic_level, wilaya } = req.body;
+
+        if (!full_name || !email || !phone || !university || !major || !academic_level || !wilaya) {
+            return res.status(400).json({ success: false, message: 'All fields are required' });
+        }
+
+        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+        if (!emailRegex.test(email)) {
+            return res.status(400).json({ success: false, message: 'Invalid email format' });
+        }
+
+        if (!ACADEMIC_LEVELS.some(level => level.value === academic_level)) {
+            return res.status(400).json({ success: false, message: 'Invalid academic level' });
+        }
+
+        if (!WILAYAS.includes(wilaya)) {
+            return res.status(400).json({ success: false, message: 'Invalid wilaya' });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing } = await supabase
+            .from('memberships')
+            .select('id')
+            .eq('email', email.trim().toLowerCase())
+            .in('status', ['pending', 'approved'])
+            .limit(1);
+
+        if (existing && existing.length > 0) {
+            return res.status(409).json({ success: false, message: 'An application with this email already exists' });
+        }
+
+        const { data: membership, error } = await supabase
+            .from('memberships')
+            .insert({
+                full_name: full_name.trim(),
+                email: email.trim().toLowerCase(),
+                phone: phone.trim(),
+                university: university.trim(),
+                major: major.trim(),
+                academic_level,
+                wilaya
+            })
+            .select('id')
+            .single();
+
+        if (error) throw error;
+
+        await addHistory(supabase, membership.id, null, 'pending', null, null);
+
+        res.status(201).json({ success: true, message: 'Application submitted successfully!' });
+    } catch (error) {
+        console.error('Create membership error:', error);
+        res.status(500).json({ success: false, message: 'Error submitting application' });
+    }
+});
+
+/**
+ * GET /api/memberships - Get all applications (admin)
+ * Filters: status, wilaya, academic_level, search, from, to (ISO dates)
+ */
+router.get('/', requirePermission('memberships'), async (req, res) => {
+    try {
+        const supabase = getClient();
+
+        const filtered = applyMembershipFilters(supabase.from('memberships').select('*'), req.query);
+        if (filtered.error) {
+            return res.status(400).json({ success: false, message: filtered.error });
+        }
+
+        const query = filtered.query.order('created_at', { ascending: false });
+
+        const { data: memberships, error } = await query;
+        if (error) throw error;
+
+        res.json({ success: true, data: memberships });
+    } catch (error) {
+        console.error('Get memberships error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching applications' });
+    }
+});
+
+/**
+ * GET /api/memberships/stats - Count applications per status (admin)
+ */
+router.get('/stats', requirePermission('memberships'), async (req, res) => {
+    try {
+        const supabase = getClient();
+        const stats = { total: 0 };
+
+        for (const status of STATUSES) {
+            const { count, error } = await supabase
+                .from('memberships')
+                .select('*', { count: 'exact', head: true })
+                .eq('status', status);
+            if (error) throw error;
+            stats[status] = count || 0;
+            stats.total += count || 0;
+        }
+
+        res.json({ success: true, data: stats });
+    } catch (error) {
+        console.error('Get membership stats error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching statistics' });
+    }
+});
+
+/**
+ * GET /api/memberships/export - Download the applications matching the list filters as CSV or XLSX (admin)
+ * format: xlsx (default) or csv; lang: language of the headers and labels (ar default, fr)
+ */
+router.get('/export', requirePermission('memberships'), async (req, res) => {
+    try {
+        const options = getExportOptions(req);
+        if (!options) {
+            return res.status(400).json({ success: false, message: 'Format must be csv or xlsx' });
+        }
+
+        const supabase = getClient();
+        const filtered = applyMembershipFilters(supabase.from('memberships').select('*'), req.query);
+        if (filtered.error) {
+            return res.status(400).json({ success: false, message: filtered.error });
+        }
+
+        const rows = await fetchAllRows(() =>
+            applyMembershipFilters(supabase.from('memberships').select('*'), req.query).query
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+        );
+
+        await recordAudit(req, {
+            action: 'export',
+            entityType: 'membership',
+            after: { format: options.format, rows: rows.length, filters: req.query },
+            summary: `${rows.length} applications (${options.format})`
+        });
+
+        await sendExport(res, {
+            ...options,
+            baseName: 'memberships',
+            sheetName: options.lang === 'ar' ? 'طلبات العضوية' : 'Adhésions',
+            columns: EXPORT_COLUMNS,
+            rows
+        });
+    } catch (error) {
+        console.error('Export memberships error:', error);
+        res.status(500).json({ success: false, message: 'Error exporting applications' });
+    }
+});
+
+/**
+ * GET /api/memberships/:id - Get single application with its history (admin)
+ */
+router.get('/:id', requirePermission('memberships'), async (req, res) => {
+    try {
+        const supabase = getClient();
+        const { data: membership, error } = await supabase
+            .from('memberships')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (error || !membership) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+
+        const { data: history, error: historyErr } = await supabase
+            .from('membership_history')
+            .select('*')
+            .eq('membership_id', req.params.id)
+            .order('created_at', { ascending: true });
+
+        if (historyErr) throw historyErr;
+
+        res.json({ success: true, data: { ...membership, history: history || [] } });
+    } catch (error) {
+        console.error('Get membership error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching application' });
+    }
+});
+
+/**
+ * PATCH /api/memberships/:id/status - Approve, reject or reopen an application (admin)
+ */
+router.patch('/:id/status', requirePermission('memberships'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        if (!STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid status' });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('memberships')
+            .select('id, status')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+
+        if (existing.status === status) {
+            return res.status(400).json({ success: false, message: 'Application already has this status' });
+        }
+
+        const { error } = await supabase
+            .from('memberships')
+            .update({ status, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id);
+
+        if (error) throw error;
+
+        await addHistory(supabase, existing.id, existing.status, status, note, req.session);
+        await recordAudit(req, {
+            action: 'status_change',
+            entityType: 'membership',
+            entityId: existing.id,
+            before: { status: existing.status },
+            after: { status, note: note || null }
+        });
+
+        res.json({ success: true, message: 'Application status updated', status });
+    } catch (error) {
+        console.error('Update membership status error:', error);
+        res.status(500).json({ success: false, message: 'Error updating application status' });
+    }
+});
+
+/**
+ * POST /api/memberships/:id/notes - Add an internal note to an application (admin)
+ */
+router.post('/:id/notes', requirePermission('memberships'), async (req, res) => {
+    try {
+        const { note } = req.body;
+
+        if (!note || !note.trim()) {
+            return res.status(400).json({ success: false, message: 'Note is required' });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('memberships')
+            .select('id, status')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+
+        await addHistory(supabase, existing.id, existing.status, existing.status, note.trim(), req.session);
+        await recordAudit(req, { action: 'add_note', entityType: 'membership', entityId: existing.id, after: { note: note.trim() } });
+
+        res.status(201).json({ success: true, message: 'Note added successfully' });
+    } catch (error) {
+        console.error('Add membership note error:', error);
+        res.status(500).json({ success: false, message: 'Error adding note' });
+    }
+});
+
+/**
+ * DELETE /api/memberships/:id - Delete application (admin)
+ */
+router.delete('/:id', requirePermission('memberships'), async (req, res) => {
+    try {
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('memberships')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+
+        const { error } = await supabase.from('memberships').delete().eq('id', req.params.id);
+        if (error) throw error;
+
+        await recordAudit(req, { action: 'delete', entityType: 'membership', entityId: existing.id, before: existing, summary: existing.full_name });
+
+        res.json({ success: true, message: 'Application deleted successfully' });
+    } catch (error) {
+        console.error('Delete membership error:', error);
+        res.status(500).json({ success: false, message: 'Error deleting application' });
+    }
+});
+
+module.exports = router;
@@ -5,14 +5,211 @@
 const express = require('express');
 const router = express.Router();
 const { getClient } = require('../models/database');
-const { isAuthenticated } = require('../middleware/auth');
+const { ROLES, hasPermission, requirePermission } = require('../middleware/auth');
+const { contactThrottle } = require('../middleware/contactThrottle');
+const { recordAudit } = require('../utils/audit');
+const { DUPLICATE_WINDOW_MS, hashBody, scoreMessage } = require('../utils/spam');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { SUBJECT_LABELS, subjectLabel, notifyNewMessage, acknowledgeMessage, sendReply } = require('../utils/messageMail');
+const { configuredSiteUrl } = require('../utils/render');
+const { formatExportDate, getExportOptions, fetchAllRows, sendExport } = require('../utils/export');
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_REPLY_LENGTH = 10000;
+
+// Case handling workflow of a message
+const STATUSES = ['new', 'in_progress', 'waiting_on_student', 'resolved'];
+
+const STATUS_LABELS = {
+    new: { ar: 'جديدة', fr: 'Nouveau' },
+    in_progress: { ar: 'قيد المعالجة', fr: 'En cours' },
+    waiting_on_student: { ar: 'في انتظار الطالب', fr: 'En attente de l\'étudiant' },
+    resolved: { ar: 'تمت المعالجة', fr: 'Résolu' }
+};
+
+const SORT_FIELDS = ['created_at', 'updated_at', 'status', 'subject'];
+
+const FOLDERS = ['inbox', 'archive', 'spam'];
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Bulk operations: action -> column values, audit action
+const BULK_UPDATES = {
+    read: { values: { is_read: true }, audit: 'mark_read' },
+    unread: { values: { is_read: false }, audit: 'mark_unread' },
+    archive: { values: { is_archived: true }, audit: 'archive' },
+    unarchive: { values: { is_archived: false }, audit: 'unarchive' }
+};
+const MAX_BULK_IDS = 500;
+
+// Columns of the spreadsheet export, in reading order
+const EXPORT_COLUMNS = [
+    { key: 'id', header: { ar: 'الرقم', fr: 'N°' }, width: 8 },
+    { key: 'created_at', header: { ar: 'التاريخ', fr: 'Date' }, value: row => formatExportDate(row.created_at) },
+    { key: 'name', header: { ar: 'الاسم', fr: 'Nom' }, width: 25 },
+    { key: 'email', header: { ar: 'البريد الإلكتروني', fr: 'E-mail' }, width: 28 },
+    { key: 'phone', header: { ar: 'الهاتف', fr: 'Téléphone' } },
+    { key: 'subject', header: { ar: 'الموضوع', fr: 'Sujet' }, width: 22, value: (row, lang) => subjectLabel(row.subject, lang) },
+    { key: 'status', header: { ar: 'الحالة', fr: 'Statut' }, value: (row, lang) => (STATUS_LABELS[row.status] || {})[lang] || row.status },
+    { key: 'assignee_username', header: { ar: 'المسؤول', fr: 'Responsable' } },
+    { key: 'is_read', header: { ar: 'مقروءة', fr: 'Lu' }, width: 8, value: (row, lang) => (row.is_read ? (lang === 'ar' ? 'نعم' : 'Oui') : (lang === 'ar' ? 'لا' : 'Non')) },
+    { key: 'lang', header: { ar: 'اللغة', fr: 'Langue' }, width: 8 },
+    { key: 'message', header: { ar: 'الرسالة', fr: 'Message' }, width: 60 }
+];
+
+// Roles whose admins can be assigned messages
+const ASSIGNABLE_ROLES = ROLES.filter(role => hasPermission(role, 'messages'));
+
+/**
+ * Restrict a messages query to a folder and the list filters of a request
+ * @param {Object} query - Supabase query on the messages table
+ * @param {Object} params - folder, search, from, to, subject, status, assignee
+ * @param {number} adminId - logged-in admin, for assignee=me
+ * @returns {{ query: Object, error: string|null }}
+ */
+function applyMessageFilters(query, params, adminId) {
+    const { search, from, to, subject, status, assignee } = params;
+    const folder = FOLDERS.includes(params.folder) ? params.folder : 'inbox';
+
+    if (folder === 'spam') {
+        query = query.eq('is_spam', true);
+    } else {
+        query = query.eq('is_spam', false).eq('is_archived', folder === 'archive');
+    }
+
+    if (search) {
+        const term = String(search).replace(/[%,()]/g, ' ').trim();
+        if (term) {
+            // Subjects are stored as codes; also match their Arabic and French labels
+            const lowered = term.toLowerCase();
+            const subjects = Object.keys(SUBJECT_LABELS).filter(code =>
+                SUBJECT_LABELS[code].ar.includes(term) || SUBJECT_LABELS[code].fr.toLowerCase().includes(lowered)
+            );
+            const conditions = [`name.ilike.%${term}%`, `email.ilike.%${term}%`, `subject.ilike.%${term}%`, `message.ilike.%${term}%`];
+            if (subjects.length > 0) {
+                conditions.push(`subject.in.(${subjects.join(',')})`);
+            }
+            query = query.or(conditions.join(','));
+        }
+    }
+    if (from) {
+        const fromDate = new Date(from);
+        if (isNaN(fromDate)) return { query, error: 'Invalid "from" date' };
+        query = query.gte('created_at', fromDate.toISOString());
+    }
+    if (to) {
+        const toDate = new Date(to);
+        if (isNaN(toDate)) return { query, error: 'Invalid "to" date' };
+        // A bare date means "until the end of that day"
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+            toDate.setUTCHours(23, 59, 59, 999);
+        }
+        query = query.lte('created_at', toDate.toISOString());
+    }
+    if (subject && subject !== 'all') {
+        query = query.eq('subject', subject);
+    }
+    if (status && status !== 'all') {
+        const statuses = String(status).split(',').filter(value => STATUSES.includes(value));
+        if (statuses.length === 0) return { query, error: 'Invalid status' };
+        query = query.in('status', statuses);
+    }
+    if (assignee === 'me') {
+        query = query.eq('assigned_to', adminId);
+    } else if (assignee === 'none') {
+        query = query.is('assigned_to', null);
+    } else if (assignee && assignee !== 'all') {
+        const assigneeId = parseInt(assignee);
+        if (!assigneeId) return { query, error: 'Invalid assignee' };
+        query = query.eq('assigned_to', assigneeId);
+    }
+
+    return { query, error: null };
+}
+
+/**
+ * Admins that can handle messages (active, with the messages permission)
+ */
+async function getAssignees(supabase) {
+    const { data, error } = await supabase
+        .from('admins')
+        .select('id, username')
+        .in('role', ASSIGNABLE_ROLES)
+        .eq('is_active', true)
+        .order('username');
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Add assignee_username to messages, from one lookup of the admins involved
+ */
+async function withAssigneeNames(supabase, messages) {
+    const ids = [...new Set(messages.map(m => m.assigned_to).filter(Boolean))];
+    if (ids.length === 0) {
+        return messages.map(m => ({ ...m, assignee_username: null }));
+    }
+
+    const { data: admins, error } = await supabase
+        .from('admins')
+        .select('id, username')
+        .in('id', ids);
+    if (error) throw error;
+
+    const names = new Map(admins.map(admin => [admin.id, admin.username]));
+    return messages.map(m => ({ ...m, assignee_username: names.get(m.assigned_to) || null }));
+}
+
+/**
+ * Move a message to the spam folder or back to the inbox
+ */
+async function setSpam(req, res, isSpam) {
+    try {
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('messages')
+            .select('id, subject, is_spam')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+
+        const { error } = await supabase
+            .from('messages')
+            .update({ is_spam: isSpam })
+            .eq('id', req.params.id);
+
+        if (error) throw error;
+
+        if (existing.is_spam !== isSpam) {
+            await recordAudit(req, {
+                action: isSpam ? 'mark_spam' : 'mark_not_spam',
+                entityType: 'message',
+                entityId: existing.id,
+                before: { is_spam: existing.is_spam },
+                after: { is_spam: isSpam },
+                summary: existing.subject
+            });
+        }
+
+        res.json({ success: true, message: isSpam ? 'Message moved to spam' : 'Message moved to inbox' });
+    } catch (error) {
+        console.error('Update spam flag error:', error);
+        res.status(500).json({ success: false, message: 'Error updating message' });
+    }
+}
 
 /**
  * POST /api/messages - Submit contact form (public)
+ * Rate limited per IP; suspected spam is stored with its score and kept out of the inbox
  */
-router.post('/', async (req, res) => {
+router.post('/', contactThrottle, async (req, res) => {
     try {
-        const { name, email, phone, subject, message } = req.body;
+        const { name, email, phone, subject, message, website, form_elapsed, lang } = req.body;
 
         if (!name || !email || !subject || !message) {
             return res.status(400).json({ success: false, message: 'Name, email, subject, and message are required' });
@@ -23,18 +220,58 @@ router.post('/', async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid email format' });
         }
 
+        if (String(message).length > MAX_MESSAGE_LENGTH) {
+            return res.status(400).json({ success: false, message: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` });
+        }
+
         const supabase = getClient();
-        const { error } = await supabase
+        const bodyHash = hashBody(message);
+
+        const { count: duplicates, error: dupErr } = await supabase
+            .from('messages')
+            .select('id', { count: 'exact', head: true })
+            .eq('body_hash', bodyHash)
+            .gte('created_at', new Date(Date.now() - DUPLICATE_WINDOW_MS).toISOString());
+
+        if (dupErr) throw dupErr;
+
+        const elapsed = form_elapsed === undefined || form_elapsed === '' ? null : Number(form_elapsed);
+        const spam = scoreMessage({ name, subject, message, honeypot: website, elapsedMs: elapsed, duplicates: duplicates || 0 });
+
+        const { data: created, error } = await supabase
             .from('messages')
             .insert({
                 name,
                 email,
                 phone: phone || null,
                 subject,
-                message
-            });
+                message,
+                lang: LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE,
+                body_hash: bodyHash,
+                spam_score: spam.score,
+                spam_reasons: spam.reasons,
+                is_spam: spam.isSpam,
+                ip_address: req.ip || null
+            })
+            .select('*')
+            .single();
 
         if (error) throw error;
+
+        // Emails go out in the background; spam gets none, so the form cannot be used to send mail to others
+        if (!created.is_spam) {
+            // Never built from the Host header: the sender controls it and could point staff elsewhere
+            const baseUrl = configuredSiteUrl();
+            const adminUrl = baseUrl ? `${baseUrl}/admin/messages.html?id=${created.id}` : null;
+            notifyNewMessage(created, adminUrl).catch(mailErr => {
+                console.error('New message notification error:', mailErr.message);
+            });
+            acknowledgeMessage(created).catch(mailErr => {
+                console.error('Message acknowledgement error:', mailErr.message);
+            });
+        }
+
+        // Spam gets the same answer, so bots cannot tell they were caught
         res.status(201).json({ success: true, message: 'Message sent successfully!' });
     } catch (error) {
         console.error('Create message error:', error);
@@ -43,18 +280,44 @@ router.post('/', async (req, res) => {
 });
 
 /**
- * GET /api/messages - Get all messages (admin)
+ * GET /api/messages - Get one page of the messages of a folder (admin)
+ * folder: inbox (default), archive or spam
+ * Filters: search (name, email, subject, text), from, to (ISO dates), subject,
+ * status (comma-separated), assignee (admin id, "me" or "none")
+ * Sorting: sort (created_at, updated_at, status, subject), order (asc, desc)
+ * Paging: page (default 1), pageSize (default 20, max 100)
  */
-router.get('/', isAuthenticated, async (req, res) => {
+router.get('/', requirePermission('messages'), async (req, res) => {
     try {
+        const sort = SORT_FIELDS.includes(req.query.sort) ? req.query.sort : 'created_at';
+        const ascending = req.query.order === 'asc';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.pageSize) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
         const supabase = getClient();
-        const { data: messages, error } = await supabase
-            .from('messages')
-            .select('*')
-            .order('created_at', { ascending: false });
+
+        const filtered = applyMessageFilters(
+            supabase.from('messages').select('*', { count: 'exact' }),
+            req.query,
+            req.session.adminId
+        );
+        if (filtered.error) {
+            return res.status(400).json({ success: false, message: filtered.error });
+        }
+
+        let query = filtered.query.order(sort, { ascending });
+        if (sort !== 'created_at') {
+            query = query.order('created_at', { ascending: false });
+        }
+
+        const offset = (page - 1) * pageSize;
+        const { data: messages, count, error } = await query.range(offset, offset + pageSize - 1);
 
         if (error) throw error;
-        res.json({ success: true, data: messages });
+        res.json({
+            success: true,
+            data: await withAssigneeNames(supabase, messages),
+            pagination: { page, pageSize, total: count || 0 }
+        });
     } catch (error) {
         console.error('Get messages error:', error);
         res.status(500).json({ success: false, message: 'Error fetching messages' });
@@ -62,18 +325,28 @@ router.get('/', isAuthenticated, async (req, res) => {
 });
 
 /**
- * GET /api/messages/unread-count - Get unread count (admin)
+ * GET /api/messages/unread-count - Get unread count of the inbox and size of the spam folder (admin)
+ * Archived messages are not counted as unread
  */
-router.get('/unread-count', isAuthenticated, async (req, res) => {
+router.get('/unread-count', requirePermission('messages'), async (req, res) => {
     try {
         const supabase = getClient();
         const { count, error } = await supabase
             .from('messages')
             .select('*', { count: 'exact', head: true })
-            .eq('is_read', false);
+            .eq('is_read', false)
+            .eq('is_spam', false)
+            .eq('is_archived', false);
 
         if (error) throw error;
-        res.json({ success: true, count: count || 0 });
+
+        const { count: spamCount, error: spamErr } = await supabase
+            .from('messages')
+            .select('*', { count: 'exact', head: true })
+            .eq('is_spam', true);
+
+        if (spamErr) throw spamErr;
+        res.json({ success: true, count: count || 0, spam: spamCount || 0 });
     } catch (error) {
         console.error('Get unread count error:', error);
         res.status(500).json({ success: false, message: 'Error fetching unread count' });
@@ -81,9 +354,143 @@ router.get('/unread-count', isAuthenticated, async (req, res) => {
 });
 
 /**
- * GET /api/messages/:id - Get single message (admin)
+ * POST /api/messages/bulk - Apply an action to several messages (admin)
+ * Body: { ids: [..], action: read | unread | archive | unarchive | delete }
  */
-router.get('/:id', isAuthenticated, async (req, res) => {
+router.post('/bulk', requirePermission('messages'), async (req, res) => {
+    try {
+        const { action } = req.body;
+        const ids = Array.isArray(req.body.ids)
+            ? [...new Set(req.body.ids.map(id => parseInt(id)).filter(id => id > 0))]
+            : [];
+
+        if (action !== 'delete' && !BULK_UPDATES[action]) {
+            return res.status(400).json({ success: false, message: 'Invalid action' });
+        }
+        if (ids.length === 0) {
+            return res.status(400).json({ success: false, message: 'Select at least one message' });
+        }
+        if (ids.length > MAX_BULK_IDS) {
+            return res.status(400).json({ success: false, message: `At most ${MAX_BULK_IDS} messages at a time` });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('messages')
+            .select('*')
+            .in('id', ids);
+
+        if (findErr) throw findErr;
+        if (existing.length === 0) {
+            return res.status(404).json({ success: false, message: 'Messages not found' });
+        }
+
+        const foundIds = existing.map(message => message.id);
+
+        if (action === 'delete') {
+            const { error } = await supabase.from('messages').delete().in('id', foundIds);
+            if (error) throw error;
+
+            await recordAudit(req, existing.map(message => (
+                { action: 'delete', entityType: 'message', entityId: message.id, before: message, summary: message.subject }
+            )));
+        } else {
+            const { values, audit } = BULK_UPDATES[action];
+            const { error } = await supabase.from('messages').update(values).in('id', foundIds);
+            if (error) throw error;
+
+            // Only the messages that actually changed get an audit entry
+            const [field] = Object.keys(values);
+            await recordAudit(req, existing.filter(m => m[field] !== values[field]).map(message => ({
+                action: audit,
+                entityType: 'message',
+                entityId: message.id,
+                before: { [field]: message[field] },
+                after: values,
+                summary: message.subject
+            })));
+        }
+
+        res.json({
+            success: true,
+            message: `${foundIds.length} message(s) ${action === 'delete' ? 'deleted' : 'updated'}`,
+            count: foundIds.length
+        });
+    } catch (error) {
+        console.error('Bulk message action error:', error);
+        res.status(500).json({ success: false, message: 'Error updating messages' });
+    }
+});
+
+/**
+ * GET /api/messages/options - Statuses, subjects and assignable admins for the filters (admin)
+ */
+router.get('/options', requirePermission('messages'), async (req, res) => {
+    try {
+        const supabase = getClient();
+        res.json({
+            success: true,
+            data: {
+                statuses: STATUSES,
+                subjects: Object.entries(SUBJECT_LABELS).map(([value, labels]) => ({ value, ...labels })),
+                assignees: await getAssignees(supabase)
+            }
+        });
+    } catch (error) {
+        console.error('Get message options error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching message options' });
+    }
+});
+
+/**
+ * GET /api/messages/export - Download the messages matching the list filters as CSV or XLSX (admin)
+ * format: xlsx (default) or csv; lang: language of the headers and labels (ar default, fr)
+ */
+router.get('/export', requirePermission('messages'), async (req, res) => {
+    try {
+        const options = getExportOptions(req);
+        if (!options) {
+            return res.status(400).json({ success: false, message: 'Format must be csv or xlsx' });
+        }
+
+        const supabase = getClient();
+        const filtered = applyMessageFilters(supabase.from('messages').select('*'), req.query, req.session.adminId);
+        if (filtered.error) {
+            return res.status(400).json({ success: false, message: filtered.error });
+        }
+
+        const messages = await fetchAllRows(() =>
+            applyMessageFilters(supabase.from('messages').select('*'), req.query, req.session.adminId).query
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+        );
+        const rows = await withAssigneeNames(supabase, messages);
+
+        await recordAudit(req, {
+            action: 'export',
+            entityType: 'message',
+            after: { format: options.format, rows: rows.length, filters: req.query },
+            summary: `${rows.length} messages (${options.format})`
+        });
+
+        await sendExport(res, {
+            ...options,
+            baseName: 'messages',
+            sheetName: options.lang === 'ar' ? 'الرسائل' : 'Messages',
+            columns: EXPORT_COLUMNS,
+            rows
+        });
+    } catch (error) {
+        console.error('Export messages error:', error);
+        res.status(500).json({ success: false, message: 'Error exporting messages' });
+    }
+});
+
+/**
+ * GET /api/messages/:id - Get single message with its replies and internal notes (admin)
+ */
+router.get('/:id', requirePermission('messages'), async (req, res) => {
     try {
         const supabase = getClient();
         const { data: message, error } = await supabase
@@ -95,23 +502,255 @@ router.get('/:id', isAuthenticated, async (req, res) => {
         if (error || !message) {
             return res.status(404).json({ success: false, message: 'Message not found' });
         }
-        res.json({ success: true, data: message });
+
+        const { data: replies, error: repliesErr } = await supabase
+            .from('message_replies')
+            .select('*')
+            .eq('message_id', req.params.id)
+            .order('created_at', { ascending: true });
+
+        if (repliesErr) throw repliesErr;
+
+        const { data: notes, error: notesErr } = await supabase
+            .from('message_notes')
+            .select('*')
+            .eq('message_id', req.params.id)
+            .order('created_at', { ascending: true });
+
+        if (notesErr) throw notesErr;
+
+        const [withName] = await withAssigneeNames(supabase, [message]);
+        res.json({ success: true, data: { ...withName, replies: replies || [], notes: notes || [] } });
     } catch (error) {
         console.error('Get message error:', error);
         res.status(500).json({ success: false, message: 'Error fetching message' });
     }
 });
 
+/**
+ * POST /api/messages/:id/replies - Email a reply to the sender and keep it in the thread (admin)
+ */
+router.post('/:id/replies', requirePermission('messages'), async (req, res) => {
+    try {
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+        if (!body) {
+            return res.status(400).json({ success: false, message: 'Reply text is required' });
+        }
+        if (body.length > MAX_REPLY_LENGTH) {
+            return res.status(400).json({ success: false, message: `Reply must be at most ${MAX_REPLY_LENGTH} characters` });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('messages')
+            .select('*')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+
+        try {
+            await sendReply(existing, body);
+        } catch (mailErr) {
+            console.error('Send reply error:', mailErr.message);
+            return res.status(502).json({ success: false, message: 'The reply could not be sent. Check the mail settings and try again.' });
+        }
+
+        const { data: reply, error } = await supabase
+            .from('message_replies')
+            .insert({
+                message_id: existing.id,
+                body,
+                admin_id: req.session.adminId,
+                admin_username: req.session.adminUsername
+            })
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        // The ball is now in the student's court, unless the case is already closed
+        const updates = { is_read: true };
+        if (existing.status !== 'resolved') {
+            updates.status = 'waiting_on_student';
+            updates.updated_at = new Date().toISOString();
+        }
+        const { error: updateErr } = await supabase.from('messages').update(updates).eq('id', existing.id);
+        if (updateErr) throw updateErr;
+
+        await recordAudit(req, { action: 'reply', entityType: 'message', entityId: existing.id, after: { to: existing.email, body }, summary: existing.subject });
+
+        res.status(201).json({ success: true, message: 'Reply sent', data: reply });
+    } catch (error) {
+        console.error('Reply to message error:', error);
+        res.status(500).json({ success: false, message: 'Error saving reply' });
+    }
+});
+
+/**
+ * PATCH /api/messages/:id/status - Move a message through the workflow (admin)
+ */
+router.patch('/:id/status', requirePermission('messages'), async (req, res) => {
+    try {
+        const { status } = req.body;
+
+        if (!STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: 'Invalid status' });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('messages')
+            .select('id, subject, status')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+
+        if (existing.status === status) {
+            return res.status(400).json({ success: false, message: 'Message already has this status' });
+        }
+
+        const { error } = await supabase
+            .from('messages')
+            .update({ status, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id);
+
+        if (error) throw error;
+
+        await recordAudit(req, {
+            action: 'status_change',
+            entityType: 'message',
+            entityId: existing.id,
+            before: { status: existing.status },
+            after: { status },
+            summary: existing.subject
+        });
+
+        res.json({ success: true, message: 'Message status updated', status });
+    } catch (error) {
+        console.error('Update message status error:', error);
+        res.status(500).json({ success: false, message: 'Error updating message status' });
+    }
+});
+
+/**
+ * PATCH /api/messages/:id/assign - Assign to an admin, or unassign with admin_id null (admin)
+ */
+router.patch('/:id/assign', requirePermission('messages'), async (req, res) => {
+    try {
+        const adminId = req.body.admin_id === null || req.body.admin_id === '' ? null : parseInt(req.body.admin_id);
+
+        if (adminId !== null && !adminId) {
+            return res.status(400).json({ success: false, message: 'Invalid admin' });
+        }
+
+        const supabase = getClient();
+
+        if (adminId !== null) {
+            const assignees = await getAssignees(supabase);
+            if (!assignees.some(admin => admin.id === adminId)) {
+                return res.status(400).json({ success: false, message: 'This admin cannot handle messages' });
+            }
+        }
+
+        const { data: existing, error: findErr } = await supabase
+            .from('messages')
+            .select('id, subject, assigned_to')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+
+        const { error } = await supabase
+            .from('messages')
+            .update({ assigned_to: adminId, updated_at: new Date().toISOString() })
+            .eq('id', req.params.id);
+
+        if (error) throw error;
+
+        if (existing.assigned_to !== adminId) {
+            await recordAudit(req, {
+                action: 'assign',
+                entityType: 'message',
+                entityId: existing.id,
+                before: { assigned_to: existing.assigned_to },
+                after: { assigned_to: adminId },
+                summary: existing.subject
+            });
+        }
+
+        res.json({ success: true, message: adminId ? 'Message assigned' : 'Message unassigned', assigned_to: adminId });
+    } catch (error) {
+        console.error('Assign message error:', error);
+        res.status(500).json({ success: false, message: 'Error assigning message' });
+    }
+});
+
+/**
+ * POST /api/messages/:id/notes - Add an internal note, never shown to the sender (admin)
+ */
+router.post('/:id/notes', requirePermission('messages'), async (req, res) => {
+    try {
+        const { note } = req.body;
+
+        if (!note || !note.trim()) {
+            return res.status(400).json({ success: false, message: 'Note is required' });
+        }
+
+        const supabase = getClient();
+
+        const { data: existing, error: findErr } = await supabase
+            .from('messages')
+            .select('id, subject')
+            .eq('id', req.params.id)
+            .single();
+
+        if (findErr || !existing) {
+            return res.status(404).json({ success: false, message: 'Message not found' });
+        }
+
+        const { data: created, error } = await supabase
+            .from('message_notes')
+            .insert({
+                message_id: existing.id,
+                note: note.trim(),
+                admin_id: req.session.adminId,
+                admin_username: req.session.adminUsername
+            })
+            .select('*')
+            .single();
+
+        if (error) throw error;
+
+        await recordAudit(req, { action: 'add_note', entityType: 'message', entityId: existing.id, after: { note: note.trim() }, summary: existing.subject });
+
+        res.status(201).json({ success: true, message: 'Note added successfully', data: created });
+    } catch (error) {
+        console.error('Add message note error:', error);
+        res.status(500).json({ success: false, message: 'Error adding note' });
+    }
+});
+
 /**
  * PATCH /api/messages/:id/read - Mark as read (admin)
  */
-router.patch('/:id/read', isAuthenticated, async (req, res) => {
+router.patch('/:id/read', requirePermission('messages'), async (req, res) => {
     try {
         const supabase = getClient();
 
         const { data: existing, error: findErr } = await supabase
             .from('messages')
-            .select('id')
+            .select('id, subject, is_read')
             .eq('id', req.params.id)
             .single();
 
@@ -125,6 +764,11 @@ router.patch('/:id/read', isAuthenticated, async (req, res) => {
             .eq('id', req.params.id);
 
         if (error) throw error;
+
+        if (!existing.is_read) {
+            await recordAudit(req, { action: 'mark_read', entityType: 'message', entityId: existing.id, before: { is_read: false }, after: { is_read: true }, summary: existing.subject });
+        }
+
         res.json({ success: true, message: 'Message marked as read' });
     } catch (error) {
         console.error('Mark as read error:', error);
@@ -135,13 +779,13 @@ router.patch('/:id/read', isAuthenticated, async (req, res) => {
 /**
  * PATCH /api/messages/:id/unread - Mark as unread (admin)
  */
-router.patch('/:id/unread', isAuthenticated, async (req, res) => {
+router.patch('/:id/unread', requirePermission('messages'), async (req, res) => {
     try {
         const supabase = getClient();
 
         const { data: existing, error: findErr } = await supabase
             .from('messages')
-            .select('id')
+            .select('id, subject, is_read')
             .eq('id', req.params.id)
             .single();
 
@@ -155,6 +799,11 @@ router.patch('/:id/unread', isAuthenticated, async (req, res) => {
             .eq('id', req.params.id);
 
         if (error) throw error;
+
+        if (existing.is_read) {
+            await recordAudit(req, { action: 'mark_unread', entityType: 'message', entityId: existing.id, before: { is_read: true }, after: { is_read: false }, summary: existing.subject });
+        }
+
         res.json({ success: true, message: 'Message marked as unread' });
     } catch (error) {
         console.error('Mark as unread error:', error);
@@ -162,16 +811,26 @@ router.patch('/:id/unread', isAuthenticated, async (req, res) => {
     }
 });
 
+/**
+ * PATCH /api/messages/:id/spam - Move to the spam folder (admin)
+ */
+router.patch('/:id/spam', requirePermission('messages'), (req, res) => setSpam(req, res, true));
+
+/**
+ * PATCH /api/messages/:id/not-spam - Move back to the inbox (admin)
+ */
+router.patch('/:id/not-spam', requirePermission('messages'), (req, res) => setSpam(req, res, false));
+
 /**
  * DELETE /api/messages/:id - Delete message (admin)
  */
-router.delete('/:id', isAuthenticated, async (req, res) => {
+router.delete('/:id', requirePermission('messages'), async (req, res) => {
     try {
         const supabase = getClient();
 
         const { data: existing, error: findErr } = await supabase
             .from('messages')
-            .select('id')
+            .select('*')
             .eq('id', req.params.id)
             .single();
 
@@ -182,6 +841,8 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
         const { error } = await supabase.from('messages').delete().eq('id', req.params.id);
         if (error) throw error;
 
+        await recordAudit(req, { action: 'delete', entityType: 'message', entityId: existing.id, before: existing, summary: existing.subject });
+
         res.json({ success: true, message: 'Message deleted successfully' });
     } catch (error) {
         console.error('Delete message error:', error);
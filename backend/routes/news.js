@@ -5,38 +5,174 @@
 const express = require('express');
 const router = express.Router();
 const { getClient } = require('../models/database');
-const { isAuthenticated } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { recordAudit } = require('../utils/audit');
+const { getRequestedLanguage, localize, pickTranslations, withLegacyColumns } = require('../utils/i18n');
+const {
+    ATTACHMENT_KINDS, uniqueSlug, slugSource, hasBeenPublished, visibleNow, newsBody, findPublishedBySlug, findNeighbours,
+    findAttachments, removeAttachmentFiles, saveAttachments
+} = require('../models/news');
+const { richTextColumns } = require('../utils/richtext');
+
+// Fields stored as <field>_ar / <field>_fr
+const TRANSLATABLE_FIELDS = ['title', 'content'];
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+const SORT_ORDERS = {
+    newest: { ascending: false },
+    oldest: { ascending: true }
+};
+
+const SCHEDULE_FIELDS = ['publish_at', 'expire_at'];
+
+const ATTACHMENT_CAPTION_LENGTH = 500;
+
+/**
+ * Ordered attachments sent in a request body; without `attachments` they stay unchanged
+ * @returns {{ attachments?: Object[], error?: string }}
+ */
+function readAttachments(body) {
+    if (body.attachments === undefined) return {};
+    if (!Array.isArray(body.attachments)) return { error: 'attachments must be an array' };
+
+    const attachments = [];
+    for (const item of body.attachments) {
+        if (!item || !ATTACHMENT_KINDS.includes(item.kind)) {
+            return { error: `Invalid attachment kind, use ${ATTACHMENT_KINDS.join(' or ')}` };
+        }
+        if (!/^(https?:\/\/|\/(?!\/))/i.test(item.url || '')) {
+            return { error: 'Invalid attachment url' };
+        }
+        const captions = pickTranslations(item, ['caption']);
+        if (Object.values(captions).some(caption => caption && String(caption).length > ATTACHMENT_CAPTION_LENGTH)) {
+            return { error: `Attachment captions are limited to ${ATTACHMENT_CAPTION_LENGTH} characters` };
+        }
+        attachments.push({
+            id: item.id || null,
+            kind: item.kind,
+            url: item.url,
+            caption_ar: captions.caption_ar || null,
+            caption_fr: captions.caption_fr || null,
+            file_name: item.file_name ? String(item.file_name).substring(0, 255) : null,
+            mime_type: item.mime_type || null,
+            size: parseInt(item.size) || null
+        });
+    }
+    return { attachments };
+}
+
+/**
+ * What the audit log keeps of an attachment list
+ */
+function attachmentsForAudit(attachments) {
+    return attachments.map(({ kind, url, caption_ar, caption_fr }) => ({ kind, url, caption_ar, caption_fr }));
+}
+
+/**
+ * News item in one language: title/content plus content_html and excerpt
+ */
+function localizeNews(news, lang) {
+    const { html, excerpt } = newsBody(news, lang);
+    return { ...localize(news, TRANSLATABLE_FIELDS, lang), content_html: html, excerpt };
+}
+
+/**
+ * publish_at / expire_at sent in a request body, as ISO strings (null clears a date)
+ * @returns {{ schedule?: Object, error?: string }}
+ */
+function readSchedule(body) {
+    const schedule = {};
+    for (const field of SCHEDULE_FIELDS) {
+        const value = body[field];
+        if (value === undefined) continue;
+        if (value === null || value === '') {
+            schedule[field] = null;
+            continue;
+        }
+        const date = new Date(value);
+        if (isNaN(date)) return { error: `Invalid ${field} date` };
+        schedule[field] = date.toISOString();
+    }
+    return { schedule };
+}
+
+/**
+ * Check the schedule of an item as it will be saved
+ * @param {Object} item - saved row merged with the changes
+ * @param {Object} schedule - dates sent in this request
+ * @param {Object} [existing] - saved row, when updating
+ * @returns {string|null} error message
+ */
+function validateSchedule(item, schedule, existing = {}, now = new Date()) {
+    if (item.publish_at && item.expire_at && new Date(item.expire_at) <= new Date(item.publish_at)) {
+        return 'expire_at must be after publish_at';
+    }
+    // An expiry already in the past may be sent back unchanged when an expired item is edited
+    const expireChanged = schedule.expire_at &&
+        (!existing.expire_at || new Date(existing.expire_at).getTime() !== new Date(schedule.expire_at).getTime());
+    if (expireChanged && new Date(schedule.expire_at) <= now) {
+        return 'expire_at must be in the future';
+    }
+    return null;
+}
 
 /**
- * GET /api/news - Get published news
+ * Make `published` agree with the schedule: a future publish_at keeps the item
+ * unpublished until the scheduler publishes it, and an item saved as unpublished
+ * drops a past publish_at so the scheduler does not publish it again
+ * @param {Object} item - saved row merged with the changes
+ * @returns {Object} fields to add to the insert/update
+ */
+function scheduleState(item, now = new Date()) {
+    const publishAt = item.publish_at ? new Date(item.publish_at) : null;
+    if (publishAt && publishAt > now) return { published: false };
+    if (publishAt && !item.published) return { publish_at: null };
+    return {};
+}
+
+/**
+ * GET /api/news - Get published news (inside their publish_at / expire_at window)
+ * Paging: page (default 1), pageSize (default 10, max 50); `limit` is still accepted as pageSize
+ * Sort: newest (default) or oldest
+ * ?lang=ar|fr also returns title/content/content_html/excerpt in that language (Arabic when not translated)
  */
 router.get('/', async (req, res) => {
     try {
-        const { category, limit, published } = req.query;
-        const supabase = getClient();
+        const { category } = req.query;
+        const sort = req.query.sort || 'newest';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(req.query.pageSize || req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
 
-        let query = supabase.from('news').select('*');
-
-        if (published !== undefined) {
-            query = query.eq('published', parseInt(published) === 1);
-        } else {
-            query = query.eq('published', true);
+        if (!SORT_ORDERS[sort]) {
+            return res.status(400).json({ success: false, message: 'Invalid sort, use newest or oldest' });
         }
 
+        const supabase = getClient();
+
+        let query = visibleNow(supabase.from('news').select('*', { count: 'exact' }));
+
         if (category && category !== 'all') {
             query = query.eq('category', category);
         }
 
-        query = query.order('created_at', { ascending: false });
-
-        if (limit) {
-            query = query.limit(parseInt(limit));
-        }
+        // id breaks ties between items created at the same time, so pages never overlap
+        const ascending = SORT_ORDERS[sort].ascending;
+        const offset = (page - 1) * pageSize;
+        query = query
+            .order('created_at', { ascending })
+            .order('id', { ascending })
+            .range(offset, offset + pageSize - 1);
 
-        const { data: news, error } = await query;
+        const { data: news, count, error } = await query;
         if (error) throw error;
 
-        res.json({ success: true, data: news });
+        const lang = getRequestedLanguage(req);
+        res.json({
+            success: true,
+            data: lang ? news.map(item => localizeNews(item, lang)) : news,
+            pagination: { page, pageSize, sort, total: count || 0 }
+        });
     } catch (error) {
         console.error('Get news error:', error);
         res.status(500).json({ success: false, message: 'Error fetching news' });
@@ -44,15 +180,19 @@ router.get('/', async (req, res) => {
 });
 
 /**
- * GET /api/news/all - Get all news (admin)
+ * GET /api/news/all - Get all news, drafts and scheduled items included (admin)
+ * ?published=1|0 keeps only published or unpublished items
  */
-router.get('/all', isAuthenticated, async (req, res) => {
+router.get('/all', requirePermission('news'), async (req, res) => {
     try {
         const supabase = getClient();
-        const { data: news, error } = await supabase
-            .from('news')
-            .select('*')
-            .order('created_at', { ascending: false });
+        let query = supabase.from('news').select('*');
+
+        if (req.query.published !== undefined) {
+            query = query.eq('published', parseInt(req.query.published) === 1);
+        }
+
+        const { data: news, error } = await query.order('created_at', { ascending: false });
 
         if (error) throw error;
         res.json({ success: true, data: news });
@@ -63,21 +203,79 @@ router.get('/all', isAuthenticated, async (req, res) => {
 });
 
 /**
- * GET /api/news/:id - Get single news
+ * GET /api/news/all/:id - Get any news item with its attachments, for editing (admin)
  */
-router.get('/:id', async (req, res) => {
+router.get('/all/:id', requirePermission('news'), async (req, res) => {
     try {
         const supabase = getClient();
         const { data: news, error } = await supabase
             .from('news')
             .select('*')
             .eq('id', req.params.id)
-            .single();
+            .maybeSingle();
+
+        if (error) throw error;
+        if (!news) {
+            return res.status(404).json({ success: false, message: 'News not found' });
+        }
+
+        const attachments = await findAttachments(news.id);
+        res.json({ success: true, data: { ...news, attachments } });
+    } catch (error) {
+        console.error('Get news for editing error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching news' });
+    }
+});
+
+/**
+ * GET /api/news/slug/:slug - Get a published news item by slug, with its attachments and
+ * the previous (older) and next (newer) items (supports ?lang=)
+ */
+router.get('/slug/:slug', async (req, res) => {
+    try {
+        const news = await findPublishedBySlug(req.params.slug);
+
+        if (!news) {
+            return res.status(404).json({ success: false, message: 'News not found' });
+        }
+
+        const [{ previous, next }, attachments] = await Promise.all([findNeighbours(news), findAttachments(news.id)]);
+
+        const lang = getRequestedLanguage(req);
+        const format = item => (item && lang ? localize(item, ['title'], lang) : item);
+        res.json({
+            success: true,
+            data: lang ? localizeNews(news, lang) : news,
+            attachments: lang ? attachments.map(item => localize(item, ['caption'], lang)) : attachments,
+            navigation: { previous: format(previous), next: format(next) }
+        });
+    } catch (error) {
+        console.error('Get news by slug error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching news' });
+    }
+});
+
+/**
+ * GET /api/news/:id - Get a published news item (inside its publish window) with its attachments (supports ?lang=)
+ */
+router.get('/:id', async (req, res) => {
+    try {
+        const supabase = getClient();
+        const { data: news, error } = await visibleNow(supabase.from('news').select('*').eq('id', req.params.id)).maybeSingle();
 
         if (error || !news) {
             return res.status(404).json({ success: false, message: 'News not found' });
         }
-        res.json({ success: true, data: news });
+
+        const attachments = await findAttachments(news.id);
+
+        const lang = getRequestedLanguage(req);
+        res.json({
+            success: true,
+            data: lang
+                ? { ...localizeNews(news, lang), attachments: attachments.map(item => localize(item, ['caption'], lang)) }
+                : { ...news, attachments }
+        });
     } catch (error) {
         console.error('Get news by id error:', error);
         res.status(500).json({ success: false, message: 'Error fetching news' });
@@ -86,30 +284,68 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/news - Create news (admin)
+ * content_ar / content_fr are Markdown (raw HTML limited to a safe subset); the sanitized
+ * HTML and a plain-text excerpt are stored with them.
+ * The slug comes from `slug` if sent, otherwise from the French or Arabic title.
+ * With a future publish_at the item stays unpublished until then; expire_at unpublishes it.
+ * attachments: ordered [{ kind: image|file, url, caption_ar, caption_fr, file_name, mime_type, size }]
  */
-router.post('/', isAuthenticated, async (req, res) => {
+router.post('/', requirePermission('news'), async (req, res) => {
     try {
-        const { title, content, category, image_url, location, published } = req.body;
+        const { category, image_url, location, published } = req.body;
+        const translations = withLegacyColumns(pickTranslations(req.body, TRANSLATABLE_FIELDS), TRANSLATABLE_FIELDS);
+
+        if (!translations.title_ar || !translations.content_ar) {
+            return res.status(400).json({ success: false, message: 'Arabic title and content are required' });
+        }
 
-        if (!title || !content) {
-            return res.status(400).json({ success: false, message: 'Title and content are required' });
+        const { schedule, error: scheduleError } = readSchedule(req.body);
+        const item = {
+            published: published !== undefined ? (published ? true : false) : true,
+            ...schedule
+        };
+        const invalidSchedule = scheduleError || validateSchedule(item, schedule);
+        if (invalidSchedule) {
+            return res.status(400).json({ success: false, message: invalidSchedule });
         }
 
+        const { attachments, error: attachmentsError } = readAttachments(req.body);
+        if (attachmentsError) {
+            return res.status(400).json({ success: false, message: attachmentsError });
+        }
+
+        const slug = await uniqueSlug(req.body.slug || slugSource(translations));
+        const state = scheduleState(item);
+
         const supabase = getClient();
         const { data: newNews, error } = await supabase
             .from('news')
             .insert({
-                title,
-                content,
+                ...translations,
+                ...richTextColumns(translations),
+                slug,
                 category: category || 'news',
                 image_url: image_url || null,
                 location: location || null,
-                published: published !== undefined ? (published ? true : false) : true
+                ...item,
+                ...state,
+                first_published_at: { ...item, ...state }.published ? new Date().toISOString() : null
             })
             .select()
             .single();
 
         if (error) throw error;
+
+        newNews.attachments = attachments && attachments.length > 0 ? await saveAttachments(newNews.id, attachments) : [];
+
+        await recordAudit(req, {
+            action: 'create',
+            entityType: 'news',
+            entityId: newNews.id,
+            after: { ...newNews, attachments: attachmentsForAudit(newNews.attachments) },
+            summary: newNews.title
+        });
+
         res.status(201).json({ success: true, message: 'News created successfully', data: newNews });
     } catch (error) {
         console.error('Create news error:', error);
@@ -119,11 +355,19 @@ router.post('/', isAuthenticated, async (req, res) => {
 
 /**
  * PUT /api/news/:id - Update news (admin)
+ * A new slug is generated when the title changes, unless `slug` is sent.
+ * publish_at / expire_at: an ISO date, or null to remove it
+ * attachments: the full ordered list (items keep their `id`); omitted attachments are deleted
  */
-router.put('/:id', isAuthenticated, async (req, res) => {
+router.put('/:id', requirePermission('news'), async (req, res) => {
     try {
         const { id } = req.params;
-        const { title, content, category, image_url, location, published } = req.body;
+        const { category, image_url, location, published } = req.body;
+        const translations = pickTranslations(req.body, TRANSLATABLE_FIELDS);
+
+        if (translations.title_ar === '' || translations.content_ar === '') {
+            return res.status(400).json({ success: false, message: 'Arabic title and content cannot be empty' });
+        }
 
         const supabase = getClient();
 
@@ -140,13 +384,42 @@ router.put('/:id', isAuthenticated, async (req, res) => {
 
         // Build update object with only provided fields (COALESCE equivalent)
         const updates = { updated_at: new Date().toISOString() };
-        if (title !== undefined && title !== null) updates.title = title;
-        if (content !== undefined && content !== null) updates.content = content;
+        Object.entries(translations).forEach(([key, value]) => {
+            // A null Arabic value means "unchanged"; a null French value clears the translation
+            if (value !== null || !key.endsWith('_ar')) updates[key] = value;
+        });
+        withLegacyColumns(updates, TRANSLATABLE_FIELDS);
+        Object.assign(updates, richTextColumns(updates));
         if (category !== undefined && category !== null) updates.category = category;
         if (image_url !== undefined && image_url !== null) updates.image_url = image_url;
         if (location !== undefined && location !== null) updates.location = location;
         if (published !== undefined && published !== null) updates.published = published ? true : false;
 
+        const { schedule, error: scheduleError } = readSchedule(req.body);
+        Object.assign(updates, schedule);
+        const invalidSchedule = scheduleError || validateSchedule({ ...existing, ...updates }, schedule, existing);
+        if (invalidSchedule) {
+            return res.status(400).json({ success: false, message: invalidSchedule });
+        }
+        Object.assign(updates, scheduleState({ ...existing, ...updates }));
+        if ({ ...existing, ...updates }.published && !existing.first_published_at) {
+            updates.first_published_at = updates.updated_at;
+        }
+
+        const { attachments, error: attachmentsError } = readAttachments(req.body);
+        if (attachmentsError) {
+            return res.status(400).json({ success: false, message: attachmentsError });
+        }
+
+        // The slug follows the title until the item is first published; after that its URL may
+        // have been shared, so it only changes when a new slug is sent
+        const titleChanged = ['title_ar', 'title_fr'].some(key => key in updates && updates[key] !== existing[key]);
+        if (req.body.slug) {
+            updates.slug = await uniqueSlug(req.body.slug, id);
+        } else if (!existing.slug || (titleChanged && !hasBeenPublished(existing))) {
+            updates.slug = await uniqueSlug(slugSource({ ...existing, ...updates }), id);
+        }
+
         const { data: updated, error } = await supabase
             .from('news')
             .update(updates)
@@ -155,6 +428,17 @@ router.put('/:id', isAuthenticated, async (req, res) => {
             .single();
 
         if (error) throw error;
+
+        const before = { ...existing };
+        const after = { ...updated };
+        if (attachments) {
+            before.attachments = attachmentsForAudit(await findAttachments(id));
+            updated.attachments = await saveAttachments(id, attachments);
+            after.attachments = attachmentsForAudit(updated.attachments);
+        }
+
+        await recordAudit(req, { action: 'update', entityType: 'news', entityId: id, before, after, summary: updated.title });
+
         res.json({ success: true, message: 'News updated successfully', data: updated });
     } catch (error) {
         console.error('Update news error:', error);
@@ -165,13 +449,13 @@ router.put('/:id', isAuthenticated, async (req, res) => {
 /**
  * DELETE /api/news/:id - Delete news (admin)
  */
-router.delete('/:id', isAuthenticated, async (req, res) => {
+router.delete('/:id', requirePermission('news'), async (req, res) => {
     try {
         const supabase = getClient();
 
         const { data: existing, error: findErr } = await supabase
             .from('news')
-            .select('id')
+            .select('*')
             .eq('id', req.params.id)
             .single();
 
@@ -179,9 +463,16 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
             return res.status(404).json({ success: false, message: 'News not found' });
         }
 
+        // Attachment rows go with the news item; their uploaded files are removed afterwards
+        const attachments = await findAttachments(existing.id);
+
         const { error } = await supabase.from('news').delete().eq('id', req.params.id);
         if (error) throw error;
 
+        await removeAttachmentFiles(attachments);
+
+        await recordAudit(req, { action: 'delete', entityType: 'news', entityId: existing.id, before: existing, summary: existing.title });
+
         res.json({ success: true, message: 'News deleted successfully' });
     } catch (error) {
         console.error('Delete news error:', error);
@@ -192,7 +483,7 @@ router.delete('/:id', isAuthenticated, async (req, res) => {
 /**
  * PATCH /api/news/:id/toggle-publish - Toggle publish status (admin)
  */
-router.patch('/:id/toggle-publish', isAuthenticated, async (req, res) => {
+router.patch('/:id/toggle-publish', requirePermission('news'), async (req, res) => {
     try {
         const supabase = getClient();
 
@@ -206,14 +497,35 @@ router.patch('/:id/toggle-publish', isAuthenticated, async (req, res) => {
             return res.status(404).json({ success: false, message: 'News not found' });
         }
 
+        const now = new Date();
         const newStatus = !existing.published;
+        const updates = { published: newStatus, updated_at: now.toISOString() };
+
+        // Publishing by hand overrides the schedule; unpublishing keeps the scheduler from publishing again
+        if (newStatus) {
+            if (!existing.first_published_at) updates.first_published_at = updates.updated_at;
+            if (existing.publish_at && new Date(existing.publish_at) > now) updates.publish_at = null;
+            if (existing.expire_at && new Date(existing.expire_at) <= now) updates.expire_at = null;
+        } else if (existing.publish_at && new Date(existing.publish_at) <= now) {
+            updates.publish_at = null;
+        }
+
         const { error } = await supabase
             .from('news')
-            .update({ published: newStatus, updated_at: new Date().toISOString() })
+            .update(updates)
             .eq('id', req.params.id);
 
         if (error) throw error;
 
+        await recordAudit(req, {
+            action: newStatus ? 'publish' : 'unpublish',
+            entityType: 'news',
+            entityId: existing.id,
+            before: existing,
+            after: updates,
+            summary: existing.title
+        });
+
         res.json({ success: true, message: newStatus ? 'News published' : 'News unpublished', published: newStatus ? 1 : 0 });
     } catch (error) {
         console.error('Toggle publish error:', error);
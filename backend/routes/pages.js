@@ -5,7 +5,27 @@
 const express = require('express');
 const router = express.Router();
 const { getClient } = require('../models/database');
-const { isAuthenticated } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/auth');
+const { diff, recordAudit } = require('../utils/audit');
+const { getRequestedLanguage, localize, pickTranslations, withLegacyColumns } = require('../utils/i18n');
+
+const TRANSLATABLE_FIELDS = ['content'];
+
+/**
+ * Section as returned by GET /api/pages/:pageName, with both languages.
+ * Rows created before the bilingual columns only have `content`.
+ */
+function formatSection(item, lang) {
+    const section = {
+        id: item.id,
+        title: item.section_title,
+        content: item.content_ar || item.content,
+        content_ar: item.content_ar || item.content,
+        content_fr: item.content_fr || null,
+        type: item.content_type
+    };
+    return lang ? localize(section, TRANSLATABLE_FIELDS, lang) : section;
+}
 
 /**
  * GET /api/pages - Get all pages with content
@@ -50,14 +70,10 @@ router.get('/:pageName', async (req, res) => {
 
         if (error) throw error;
 
+        const lang = getRequestedLanguage(req);
         const contentObject = {};
         content.forEach(item => {
-            contentObject[item.section_id] = {
-                id: item.id,
-                title: item.section_title,
-                content: item.content,
-                type: item.content_type
-            };
+            contentObject[item.section_id] = formatSection(item, lang);
         });
 
         res.json({ success: true, page: req.params.pageName, data: contentObject });
@@ -71,7 +87,7 @@ router.get('/:pageName', async (req, res) => {
  * PUT /api/pages/:pageName/bulk - Bulk update (admin)
  * NOTE: This route must come BEFORE /:pageName/:sectionId to match correctly
  */
-router.put('/:pageName/bulk', isAuthenticated, async (req, res) => {
+router.put('/:pageName/bulk', requirePermission('pages'), async (req, res) => {
     try {
         const { pageName } = req.params;
         const { sections } = req.body;
@@ -82,9 +98,22 @@ router.put('/:pageName/bulk', isAuthenticated, async (req, res) => {
 
         const supabase = getClient();
 
+        // Current content, so each changed section can be audited with its previous value
+        const { data: currentRows, error: findErr } = await supabase
+            .from('page_content')
+            .select('*')
+            .eq('page_name', pageName);
+
+        if (findErr) throw findErr;
+        const currentBySection = {};
+        currentRows.forEach(row => { currentBySection[row.section_id] = row; });
+
         for (const section of sections) {
+            const translations = pickTranslations(section, TRANSLATABLE_FIELDS);
+            if (translations.content_ar === null) delete translations.content_ar;
+
             const updates = {
-                content: section.content,
+                ...withLegacyColumns(translations, TRANSLATABLE_FIELDS),
                 updated_at: new Date().toISOString()
             };
             if (section.section_title !== undefined) {
@@ -96,6 +125,17 @@ router.put('/:pageName/bulk', isAuthenticated, async (req, res) => {
                 .update(updates)
                 .eq('page_name', pageName)
                 .eq('section_id', section.section_id);
+
+            const before = currentBySection[section.section_id];
+            if (before && Object.keys(diff(before, updates)).length > 0) {
+                await recordAudit(req, {
+                    action: 'update',
+                    entityType: 'page_section',
+                    entityId: `${pageName}/${section.section_id}`,
+                    before,
+                    after: updates
+                });
+            }
         }
 
         res.json({ success: true, message: `Updated ${sections.length} sections successfully` });
@@ -132,10 +172,10 @@ router.get('/:pageName/:sectionId', async (req, res) => {
 /**
  * PUT /api/pages/:pageName/:sectionId - Update section (admin)
  */
-router.put('/:pageName/:sectionId', isAuthenticated, async (req, res) => {
+router.put('/:pageName/:sectionId', requirePermission('pages'), async (req, res) => {
     try {
         const { pageName, sectionId } = req.params;
-        const { section_title, content, content_type } = req.body;
+        const { section_title, content_type } = req.body;
 
         const supabase = getClient();
 
@@ -153,7 +193,10 @@ router.put('/:pageName/:sectionId', isAuthenticated, async (req, res) => {
         // Build update object with only provided fields (COALESCE equivalent)
         const updates = { updated_at: new Date().toISOString() };
         if (section_title !== undefined && section_title !== null) updates.section_title = section_title;
-        if (content !== undefined && content !== null) updates.content = content;
+        // A null Arabic value keeps the current text; a null French value removes the translation
+        const translations = pickTranslations(req.body, TRANSLATABLE_FIELDS);
+        if (translations.content_ar === null) delete translations.content_ar;
+        Object.assign(updates, withLegacyColumns(translations, TRANSLATABLE_FIELDS));
         if (content_type !== undefined && content_type !== null) updates.content_type = content_type;
 
         const { data: updated, error } = await supabase
@@ -165,6 +208,9 @@ router.put('/:pageName/:sectionId', isAuthenticated, async (req, res) => {
             .single();
 
         if (error) throw error;
+
+        await recordAudit(req, { action: 'update', entityType: 'page_section', entityId: `${pageName}/${sectionId}`, before: existing, after: updated });
+
         res.json({ success: true, message: 'Section updated successfully', data: updated });
     } catch (error) {
         console.error('Update section error:', error);
@@ -175,12 +221,13 @@ router.put('/:pageName/:sectionId', isAuthenticated, async (req, res) => {
 /**
  * POST /api/pages/:pageName - Add new section (admin)
  */
-router.post('/:pageName', isAuthenticated, async (req, res) => {
+router.post('/:pageName', requirePermission('pages'), async (req, res) => {
     try {
         const { pageName } = req.params;
-        const { section_id, section_title, content, content_type, display_order } = req.body;
+        const { section_id, section_title, content_type, display_order } = req.body;
+        const translations = pickTranslations(req.body, TRANSLATABLE_FIELDS);
 
-        if (!section_id || !content) {
+        if (!section_id || !translations.content_ar) {
             return res.status(400).json({ success: false, message: 'section_id and content are required' });
         }
 
@@ -215,7 +262,7 @@ router.post('/:pageName', isAuthenticated, async (req, res) => {
                 page_name: pageName,
                 section_id,
                 section_title: section_title || '',
-                content,
+                ...withLegacyColumns(translations, TRANSLATABLE_FIELDS),
                 content_type: content_type || 'text',
                 display_order: order
             })
@@ -223,6 +270,9 @@ router.post('/:pageName', isAuthenticated, async (req, res) => {
             .single();
 
         if (error) throw error;
+
+        await recordAudit(req, { action: 'create', entityType: 'page_section', entityId: `${pageName}/${section_id}`, after: newSection });
+
         res.status(201).json({ success: true, message: 'Section created successfully', data: newSection });
     } catch (error) {
         console.error('Create section error:', error);
@@ -233,14 +283,14 @@ router.post('/:pageName', isAuthenticated, async (req, res) => {
 /**
  * DELETE /api/pages/:pageName/:sectionId - Delete section (admin)
  */
-router.delete('/:pageName/:sectionId', isAuthenticated, async (req, res) => {
+router.delete('/:pageName/:sectionId', requirePermission('pages'), async (req, res) => {
     try {
         const { pageName, sectionId } = req.params;
         const supabase = getClient();
 
         const { data: existing, error: findErr } = await supabase
             .from('page_content')
-            .select('id')
+            .select('*')
             .eq('page_name', pageName)
             .eq('section_id', sectionId)
             .single();
@@ -256,6 +306,9 @@ router.delete('/:pageName/:sectionId', isAuthenticated, async (req, res) => {
             .eq('section_id', sectionId);
 
         if (error) throw error;
+
+        await recordAudit(req, { action: 'delete', entityType: 'page_section', entityId: `${pageName}/${sectionId}`, before: existing });
+
         res.json({ success: true, message: 'Section deleted successfully' });
     } catch (error) {
         console.error('Delete section error:', error);
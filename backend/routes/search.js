@@ -0,0 +1,176 @@
+/**
+ * Search Routes - Site search across news, page content and specialties
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getClient } = require('../models/database');
+const { DEFAULT_LANGUAGE, getRequestedLanguage, translate } = require('../utils/i18n');
+const { normalizeText, tokenize, stripHtml, scoreDocument, buildSnippet } = require('../utils/search');
+const { visibleNow } = require('../models/news');
+const { parseItems } = require('../models/specialties');
+const { META_SECTIONS } = require('../utils/render');
+
+const SEARCH_TYPES = ['news', 'page', 'specialty'];
+const MIN_QUERY_LENGTH = 2;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// Titles count more than body text
+const TITLE_WEIGHT = 3;
+const BODY_WEIGHT = 1;
+
+// Public page for each page_content page_name
+const PAGE_INFO = {
+    home: { url: '/', title_ar: 'الرئيسية', title_fr: 'Accueil' },
+    about: { url: '/about', title_ar: 'من نحن', title_fr: 'À propos' },
+    guide: { url: '/guide', title_ar: 'دليل الطالب', title_fr: 'Guide étudiant' },
+    programs: { url: '/programs', title_ar: 'البرامج الأكاديمية', title_fr: 'Programmes académiques' },
+    services: { url: '/services', title_ar: 'الخدمات', title_fr: 'Services' },
+    contact: { url: '/contact', title_ar: 'اتصل بنا', title_fr: 'Contact' }
+};
+
+/**
+ * Searchable documents: { type, id, url, title_ar, title_fr, body_ar, body_fr, extra }
+ */
+async function loadDocuments(types) {
+    const supabase = getClient();
+    const documents = [];
+
+    const [newsResult, pagesResult, specialtiesResult] = await Promise.all([
+        types.includes('news')
+            ? visibleNow(supabase.from('news').select('id, slug, title, title_ar, title_fr, content, content_ar, content_fr, content_html_ar, content_html_fr, category, created_at'))
+            : { data: [] },
+        types.includes('page')
+            ? supabase.from('page_content').select('id, page_name, section_id, content, content_ar, content_fr')
+            : { data: [] },
+        types.includes('specialty')
+            ? supabase.from('specialties').select('id, name_ar, name_fr, description, description_ar, description_fr, duration_ar, duration_fr, items, items_ar, items_fr').eq('is_active', true)
+            : { data: [] }
+    ]);
+
+    [newsResult, pagesResult, specialtiesResult].forEach(result => {
+        if (result.error) throw result.error;
+    });
+
+    newsResult.data.forEach(item => {
+        documents.push({
+            type: 'news',
+            id: item.id,
+            url: item.slug ? `/news/${encodeURIComponent(item.slug)}` : '/news',
+            title_ar: item.title_ar || item.title,
+            title_fr: item.title_fr,
+            // Rendered text, without the Markdown syntax of the source
+            body_ar: stripHtml(item.content_html_ar) || item.content_ar || item.content,
+            body_fr: stripHtml(item.content_html_fr) || item.content_fr,
+            extra: { slug: item.slug, category: item.category, created_at: item.created_at }
+        });
+    });
+
+    pagesResult.data.forEach(section => {
+        const page = PAGE_INFO[section.page_name];
+        // Titles and descriptions of the pages themselves are not content
+        if (!page || META_SECTIONS.includes(section.section_id)) return;
+        documents.push({
+            type: 'page',
+            id: `${section.page_name}/${section.section_id}`,
+            url: page.url,
+            title_ar: page.title_ar,
+            title_fr: page.title_fr,
+            body_ar: stripHtml(section.content_ar || section.content),
+            body_fr: stripHtml(section.content_fr),
+            extra: { page: section.page_name }
+        });
+    });
+
+    specialtiesResult.data.forEach(spec => {
+        const body = (description, duration, items) =>
+            [description, duration, ...parseItems(items)].filter(Boolean).join(' · ');
+        documents.push({
+            type: 'specialty',
+            id: spec.id,
+            url: '/programs',
+            title_ar: spec.name_ar,
+            title_fr: spec.name_fr,
+            body_ar: body(spec.description_ar || spec.description, spec.duration_ar, spec.items_ar || spec.items),
+            body_fr: body(spec.description_fr, spec.duration_fr, spec.items_fr),
+            extra: {}
+        });
+    });
+
+    return documents;
+}
+
+/**
+ * Body text for the snippet: the requested language if it contains a match,
+ * then the other language, then the start of the requested language
+ */
+function snippetSource(doc, terms, lang) {
+    const candidates = [translate(doc, 'body', lang), doc.body_ar, doc.body_fr].filter(Boolean);
+    const matching = candidates.find(text => {
+        const normalized = normalizeText(text);
+        return terms.some(term => normalized.includes(term));
+    });
+    return matching || candidates[0] || '';
+}
+
+/**
+ * GET /api/search?q= - Search published news, page content and active specialties
+ * Optional: type (news, page, specialty; comma-separated), lang (ar|fr), limit (default 20, max 50)
+ * Matching ignores case, French accents and Arabic diacritics / letter variants
+ */
+router.get('/', async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        const terms = tokenize(q);
+        const phrase = terms.join(' ');
+
+        if (phrase.length < MIN_QUERY_LENGTH) {
+            return res.status(400).json({ success: false, message: `Search query must be at least ${MIN_QUERY_LENGTH} characters` });
+        }
+
+        const types = req.query.type ? String(req.query.type).split(',').map(type => type.trim()) : SEARCH_TYPES;
+        if (types.some(type => !SEARCH_TYPES.includes(type))) {
+            return res.status(400).json({ success: false, message: `Invalid type, use ${SEARCH_TYPES.join(', ')}` });
+        }
+
+        const lang = getRequestedLanguage(req) || DEFAULT_LANGUAGE;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        const documents = await loadDocuments(types);
+
+        const matches = [];
+        documents.forEach(doc => {
+            const score = scoreDocument([
+                { text: normalizeText(doc.title_ar), weight: TITLE_WEIGHT },
+                { text: normalizeText(doc.title_fr), weight: TITLE_WEIGHT },
+                { text: normalizeText(doc.body_ar), weight: BODY_WEIGHT },
+                { text: normalizeText(doc.body_fr), weight: BODY_WEIGHT }
+            ], terms, phrase);
+            if (score > 0) matches.push({ doc, score });
+        });
+
+        matches.sort((a, b) => b.score - a.score);
+
+        const results = matches.slice(0, limit).map(({ doc, score }) => {
+            const { snippet, highlights } = buildSnippet(snippetSource(doc, terms, lang), terms);
+            return {
+                type: doc.type,
+                id: doc.id,
+                title: translate(doc, 'title', lang),
+                snippet,
+                highlights,
+                url: doc.url,
+                score,
+                ...doc.extra
+            };
+        });
+
+        res.json({ success: true, query: q, lang, total: matches.length, data: results });
+    } catch (error) {
+        console.error('Search error:', error);
+        res.status(500).json({ success: false, message: 'Error searching' });
+    }
+});
+
+module.exports = router;
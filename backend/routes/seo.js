@@ -0,0 +1,144 @@
+/**
+ * SEO Routes - sitemap.xml built from the pages and published news, and robots.txt
+ */
+
+const express = require('express');
+const router = express.Router();
+const { getClient } = require('../models/database');
+const { visibleNow } = require('../models/news');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/i18n');
+const { PUBLIC_PAGES, escapeHtml, siteUrl, absoluteUrl, localizedPath, articlePath } = require('../utils/render');
+
+const CACHE_MAX_AGE = 60 * 60; // seconds
+
+// Result pages are not worth indexing
+const SITEMAP_PAGES = ['home', ...PUBLIC_PAGES.filter(page => page !== 'search')];
+
+// Paths crawlers never need
+const ROBOTS_DISALLOW = ['/admin', '/api'];
+
+function pagePath(page) {
+    return page === 'home' ? '/' : `/${page}`;
+}
+
+function latest(...dates) {
+    const times = dates.filter(Boolean).map(date => new Date(date).getTime());
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+/**
+ * Latest update of each page: its editable sections, plus the news and
+ * specialties it lists (specialties have no page of their own)
+ */
+async function loadSitemapEntries(req) {
+    const supabase = getClient();
+
+    const [pagesResult, specialtiesResult, newsResult] = await Promise.all([
+        supabase.from('page_content').select('page_name, updated_at'),
+        supabase.from('specialties').select('updated_at').eq('is_active', true),
+        visibleNow(supabase.from('news').select('slug, title_fr, content_fr, created_at, updated_at'))
+            .order('created_at', { ascending: false })
+    ]);
+
+    [pagesResult, specialtiesResult, newsResult].forEach(result => {
+        if (result.error) throw result.error;
+    });
+
+    const sectionsUpdated = {};
+    pagesResult.data.forEach(section => {
+        sectionsUpdated[section.page_name] = latest(sectionsUpdated[section.page_name], section.updated_at);
+    });
+    const specialtiesUpdated = latest(...specialtiesResult.data.map(spec => spec.updated_at));
+    const news = newsResult.data.filter(item => item.slug);
+    const newsUpdated = latest(...news.map(item => item.updated_at || item.created_at));
+
+    const listed = {
+        home: [newsUpdated, specialtiesUpdated],
+        news: [newsUpdated],
+        programs: [specialtiesUpdated]
+    };
+
+    const pages = SITEMAP_PAGES.map(page => ({
+        urls: Object.fromEntries(LANGUAGES.map(lang => [lang, absoluteUrl(req, localizedPath(pagePath(page), lang))])),
+        lastmod: latest(sectionsUpdated[page], ...(listed[page] || []))
+    }));
+
+    // Untranslated articles are only listed in Arabic
+    const articles = news.map(item => ({
+        urls: Object.fromEntries(LANGUAGES
+            .filter(lang => lang === DEFAULT_LANGUAGE || item[`title_${lang}`] || item[`content_${lang}`])
+            .map(lang => [lang, absoluteUrl(req, articlePath(item, lang))])),
+        lastmod: latest(item.updated_at, item.created_at)
+    }));
+
+    return [...pages, ...articles];
+}
+
+/**
+ * One <url> per language version, each listing all versions as hreflang alternates
+ */
+function renderSitemap(entries) {
+    const urls = entries.flatMap(entry => {
+        const alternates = Object.keys(entry.urls).length > 1
+            ? [
+                ...Object.entries(entry.urls).map(([lang, url]) =>
+                    `    <xhtml:link rel="alternate" hreflang="${lang}" href="${escapeHtml(url)}"/>`),
+                `    <xhtml:link rel="alternate" hreflang="x-default" href="${escapeHtml(entry.urls[DEFAULT_LANGUAGE])}"/>`
+            ]
+            : [];
+
+        return Object.values(entry.urls).map(url => [
+            '  <url>',
+            `    <loc>${escapeHtml(url)}</loc>`,
+            ...(entry.lastmod ? [`    <lastmod>${entry.lastmod.toISOString()}</lastmod>`] : []),
+            ...alternates,
+            '  </url>'
+        ].join('\n'));
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+/**
+ * GET /sitemap.xml - Pages and published news articles in both languages
+ */
+router.get('/sitemap.xml', async (req, res) => {
+    try {
+        const entries = await loadSitemapEntries(req);
+
+        res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE}`);
+        res.type('application/xml; charset=utf-8').send(renderSitemap(entries));
+    } catch (error) {
+        console.error('Sitemap error:', error);
+        res.status(500).json({ success: false, message: 'Error generating sitemap' });
+    }
+});
+
+/**
+ * GET /robots.txt - Crawler rules: ROBOTS_DISALLOW adds paths (comma-separated),
+ * ROBOTS_NOINDEX=true blocks the whole site (staging copies)
+ */
+router.get('/robots.txt', (req, res) => {
+    const disallow = process.env.ROBOTS_NOINDEX === 'true'
+        ? ['/']
+        : [...new Set([
+            ...ROBOTS_DISALLOW,
+            ...(process.env.ROBOTS_DISALLOW || '').split(',').map(path => path.trim()).filter(Boolean)
+        ])];
+
+    const lines = [
+        'User-agent: *',
+        ...disallow.map(path => `Disallow: ${path}`),
+        '',
+        `Sitemap: ${siteUrl(req)}/sitemap.xml`
+    ];
+
+    res.set('Cache-Control', `public, max-age=${CACHE_MAX_AGE}`);
+    res.type('text/plain; charset=utf-8').send(`${lines.join('\n')}\n`);
+});
+
+module.exports = router;
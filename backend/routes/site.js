@@ -0,0 +1,579 @@
+/**
+ * Site Routes - Server-rendered public pages: news articles, and the frontend pages
+ * filled with their CMS sections, news, hero slides and specialties
+ */
+
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const router = express.Router();
+const { getClient } = require('../models/database');
+const { getRequestedLanguage, LANGUAGES, DEFAULT_LANGUAGE, translate } = require('../utils/i18n');
+const { PUBLIC_PAGES, SITE_NAMES, CATEGORY_LABELS, escapeHtml, renderTemplate, absoluteUrl, localizedPath, articlePath } = require('../utils/render');
+const { parseHtml, serializeHtml, findElements, findElement, byId, byTag, hasClass, textOf, setText, setInnerHtml, appendHtml, appendElement, setLeadingText } = require('../utils/html');
+const { newsBody, findPublishedBySlug, findNeighbours, findAttachments, findLatestPublished } = require('../models/news');
+const { findActiveSpecialties } = require('../models/specialties');
+
+const FRONTEND_DIR = path.join(__dirname, '..', '..', 'frontend');
+
+// Frontend file of each page (page_content page_name)
+const PAGE_FILES = {
+    home: 'index.html',
+    ...Object.fromEntries(PUBLIC_PAGES.map(page => [page, `${page}.html`]))
+};
+const pageSources = {};
+
+// News shown by the home page and the first page of the news page, as in main.js
+const HOME_NEWS_COUNT = 3;
+const NEWS_PAGE_SIZE = 9;
+
+const LABELS = {
+    ar: {
+        share: 'شارك الخبر:',
+        navigation: 'أخبار أخرى',
+        previous: 'الخبر السابق',
+        next: 'الخبر التالي',
+        gallery: 'معرض الصور',
+        attachments: 'المرفقات',
+        sizes: ['بايت', 'ك.ب', 'م.ب'],
+        read_more: 'اقرأ المزيد',
+        know_us: 'تعرف علينا',
+        student_guide: 'دليل الطالب',
+        study_duration: 'مدة الدراسة',
+        watch_video: '▶️ شاهد فيديو تعريفي',
+        slide_label: 'الشريحة'
+    },
+    fr: {
+        share: 'Partager :',
+        navigation: 'Autres actualités',
+        previous: 'Article précédent',
+        next: 'Article suivant',
+        gallery: 'Galerie photos',
+        attachments: 'Pièces jointes',
+        sizes: ['o', 'Ko', 'Mo'],
+        read_more: 'Lire la suite',
+        know_us: 'Découvrez-nous',
+        student_guide: 'Guide étudiant',
+        study_duration: 'Durée des études',
+        watch_video: '▶️ Voir la vidéo',
+        slide_label: 'Diapositive'
+    }
+};
+
+const CATEGORY_CLASSES = { news: 'primary', event: 'success', announcement: 'warning' };
+const OG_LOCALES = { ar: 'ar_AR', fr: 'fr_FR' };
+const DEFAULT_SHARE_IMAGE = '/assets/images/logo.png';
+
+function isSafeUrl(url) {
+    return /^(https?:\/\/|\/)/i.test(url || '');
+}
+
+function formatSize(bytes, units) {
+    if (!bytes) return '';
+    if (bytes < 1024) return `${bytes} ${units[0]}`;
+    if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} ${units[1]}`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} ${units[2]}`;
+}
+
+/**
+ * Photo gallery: thumbnails linking to the full image, opened in a lightbox by main.js
+ */
+function renderGallery(images, lang, title) {
+    if (images.length === 0) return '';
+    const items = images.map((image, index) => {
+        const caption = translate(image, 'caption', lang) || '';
+        return `<a href="${escapeHtml(image.url)}" class="gallery__item" data-caption="${escapeHtml(caption)}">
+                                <img src="${escapeHtml(image.url)}" alt="${escapeHtml(caption || `${title} (${index + 1})`)}" loading="lazy">
+                            </a>`;
+    }).join('\n                            ');
+
+    return `<section class="article__gallery">
+                        <h2 class="article__section-title">${escapeHtml(LABELS[lang].gallery)}</h2>
+                        <div class="gallery" data-gallery>
+                            ${items}
+                        </div>
+                    </section>`;
+}
+
+/**
+ * Downloadable documents with their name, type and size
+ */
+function renderAttachments(files, lang) {
+    if (files.length === 0) return '';
+    const items = files.map(file => {
+        const name = translate(file, 'caption', lang) || file.file_name || path.basename(file.url.split('?')[0]);
+        const extension = path.extname(file.file_name || file.url.split('?')[0]).slice(1).toUpperCase();
+        const meta = [extension, formatSize(file.size, LABELS[lang].sizes)].filter(Boolean).join(' · ');
+        return `<li>
+                                <a href="${escapeHtml(file.url)}" class="attachments__link" target="_blank" rel="noopener" download>
+                                    <span class="attachments__icon" aria-hidden="true">📄</span>
+                                    <span class="attachments__name">${escapeHtml(name)}</span>
+                                    ${meta ? `<span class="attachments__meta">${escapeHtml(meta)}</span>` : ''}
+                                </a>
+                            </li>`;
+    }).join('\n                            ');
+
+    return `<section class="article__attachments">
+                        <h2 class="article__section-title">${escapeHtml(LABELS[lang].attachments)}</h2>
+                        <ul class="attachments">
+                            ${items}
+                        </ul>
+                    </section>`;
+}
+
+/**
+ * Link to a neighbouring article, in the page language
+ */
+function articleLink(item, lang, label, modifier) {
+    if (!item) return '';
+    return `<a href="${articlePath(item, lang)}" class="article__nav-link article__nav-link--${modifier}">
+                            <span class="article__nav-label">${escapeHtml(label)}</span>
+                            <span class="article__nav-title">${escapeHtml(translate(item, 'title', lang) || item.title)}</span>
+                        </a>`;
+}
+
+// ========================================
+// FRONTEND PAGES
+// ========================================
+
+function readPage(page) {
+    if (!pageSources[page]) {
+        pageSources[page] = fs.readFileSync(path.join(FRONTEND_DIR, PAGE_FILES[page]), 'utf8');
+    }
+    return pageSources[page];
+}
+
+function formatShortDate(value, lang) {
+    return new Date(value).toLocaleDateString(lang === 'fr' ? 'fr-FR' : 'ar-DZ', { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+function truncate(text, length) {
+    if (text.length <= length) return text;
+    const cut = text.lastIndexOf(' ', length);
+    return `${text.substring(0, cut > 0 ? cut : length)}…`;
+}
+
+/**
+ * CMS data of a page; each part is only loaded by the pages showing it
+ */
+async function loadPageData(page) {
+    const supabase = getClient();
+
+    const [sectionsResult, slidesResult, specialties, news] = await Promise.all([
+        supabase.from('page_content').select('*').eq('page_name', page).order('display_order'),
+        page === 'home'
+            ? supabase.from('hero_slides').select('*').eq('is_active', true).order('display_order', { ascending: true })
+            : { data: [] },
+        page === 'home' || page === 'programs' ? findActiveSpecialties() : [],
+        page === 'home' || page === 'news'
+            ? findLatestPublished({ limit: page === 'home' ? HOME_NEWS_COUNT : NEWS_PAGE_SIZE })
+            : []
+    ]);
+
+    [sectionsResult, slidesResult].forEach(result => {
+        if (result.error) throw result.error;
+    });
+
+    return { sections: sectionsResult.data, slides: slidesResult.data, specialties, news };
+}
+
+/**
+ * Static texts of the page in a language: elements carry both versions in data-ar / data-fr
+ * (the same rules as applyLanguage() in main.js)
+ */
+function translateStaticTexts(document, lang) {
+    findElements(document, element => element.attribs['data-ar'] !== undefined && element.attribs['data-fr'] !== undefined)
+        .forEach(element => {
+            const text = element.attribs[`data-${lang}`];
+            if (!text) return;
+            if (text.includes('<')) {
+                setInnerHtml(element, text);
+            } else if (element.children.some(child => child.type === 'tag')) {
+                setLeadingText(element, text);
+            } else {
+                setText(element, text);
+            }
+        });
+
+    findElements(document, element => element.attribs[`data-${lang}-placeholder`] !== undefined)
+        .forEach(element => { element.attribs.placeholder = element.attribs[`data-${lang}-placeholder`]; });
+
+    findElements(document, element => hasClass(element, 'lang-switcher__btn')).forEach(button => {
+        const classes = (button.attribs.class || '').split(/\s+/).filter(name => name && name !== 'lang-switcher__btn--active');
+        if (button.attribs['data-lang'] === lang) classes.push('lang-switcher__btn--active');
+        button.attribs.class = classes.join(' ');
+    });
+}
+
+/**
+ * Fill the [data-content] elements with their page_content section (as updatePageContent() in main.js)
+ */
+function fillSections(document, sections, lang) {
+    sections.forEach(section => {
+        const element = findElement(document, node => node.attribs['data-content'] === section.section_id);
+        if (!element) return;
+
+        const contentAr = section.content_ar || section.content || '';
+        const text = section[`content_${lang}`] || contentAr;
+
+        if (section.content_type === 'html') {
+            setInnerHtml(element, text);
+            return;
+        }
+
+        if (hasClass(element, 'accordion__header')) {
+            const icon = findElement(element, node => hasClass(node, 'accordion__icon'));
+            setText(element, text);
+            if (icon) {
+                appendElement(element, icon);
+            } else {
+                appendHtml(element, '<span class="accordion__icon">+</span>');
+            }
+        } else {
+            setText(element, text);
+        }
+
+        // main.js switches the language from these attributes
+        if (element.attribs['data-ar'] !== undefined) {
+            element.attribs['data-ar'] = contentAr;
+            element.attribs['data-fr'] = section.content_fr || contentAr;
+        }
+    });
+}
+
+/**
+ * <title>, meta description, canonical and language alternates, and share metadata
+ * from the meta_title / meta_description sections (the static ones when not set)
+ */
+function renderHead(req, document, { page, sections, slides }, lang) {
+    const head = byTag(document, 'head');
+    const titleElement = byTag(head, 'title');
+    const descriptionElement = findElement(head, element => element.name === 'meta' && element.attribs.name === 'description');
+
+    const sectionById = Object.fromEntries(sections.map(section => [section.section_id, section]));
+    const metaText = (sectionId, language) => {
+        const section = sectionById[sectionId];
+        return section ? section[`content_${language}`] || section.content_ar || section.content || '' : '';
+    };
+
+    const title = metaText('meta_title', lang) || (titleElement ? textOf(titleElement).trim() : SITE_NAMES[lang]);
+    const description = metaText('meta_description', lang) || (descriptionElement ? descriptionElement.attribs.content : '');
+
+    // main.js switches the title from data-ar / data-fr
+    if (titleElement) {
+        setText(titleElement, title);
+        if (sectionById.meta_title) {
+            titleElement.attribs['data-ar'] = metaText('meta_title', 'ar');
+            titleElement.attribs['data-fr'] = metaText('meta_title', 'fr');
+        }
+    }
+    if (descriptionElement) {
+        descriptionElement.attribs.content = description;
+        if (sectionById.meta_description && descriptionElement.attribs['data-ar'] !== undefined) {
+            descriptionElement.attribs['data-ar'] = metaText('meta_description', 'ar');
+            descriptionElement.attribs['data-fr'] = metaText('meta_description', 'fr');
+        }
+    }
+
+    const pagePath = page === 'home' ? '/' : `/${page}`;
+    const url = absoluteUrl(req, localizedPath(pagePath, lang));
+    // The home page is shared with its first hero slide
+    const slideImage = page === 'home' ? slides.map(slide => slide.image_url).find(isSafeUrl) : null;
+    const image = absoluteUrl(req, slideImage || DEFAULT_SHARE_IMAGE);
+
+    const tags = [
+        `<link rel="canonical" href="${escapeHtml(url)}">`,
+        ...LANGUAGES.map(language =>
+            `<link rel="alternate" hreflang="${language}" href="${escapeHtml(absoluteUrl(req, localizedPath(pagePath, language)))}">`),
+        `<link rel="alternate" hreflang="x-default" href="${escapeHtml(absoluteUrl(req, pagePath))}">`,
+        '<meta property="og:type" content="website">',
+        `<meta property="og:site_name" content="${escapeHtml(SITE_NAMES[lang])}">`,
+        `<meta property="og:locale" content="${OG_LOCALES[lang]}">`,
+        `<meta property="og:title" content="${escapeHtml(title)}">`,
+        `<meta property="og:description" content="${escapeHtml(description)}">`,
+        `<meta property="og:url" content="${escapeHtml(url)}">`,
+        `<meta property="og:image" content="${escapeHtml(image)}">`,
+        `<meta name="twitter:card" content="${slideImage ? 'summary_large_image' : 'summary'}">`,
+        `<meta name="twitter:title" content="${escapeHtml(title)}">`,
+        `<meta name="twitter:description" content="${escapeHtml(description)}">`
+    ];
+    appendHtml(head, `    ${tags.join('\n    ')}\n`);
+}
+
+function renderHeroSlides(slides, lang) {
+    const labels = LABELS[lang];
+    return slides.map((slide, index) => {
+        const title = translate(slide, 'title', lang) || '';
+        const subtitle = translate(slide, 'subtitle', lang) || '';
+        return `<div class="hero-carousel__slide${index === 0 ? ' hero-carousel__slide--active' : ''}" data-slide="${index}">
+                    ${isSafeUrl(slide.image_url) ? `<img src="${escapeHtml(slide.image_url)}" alt="${escapeHtml(title)}" class="hero-carousel__image" loading="${index === 0 ? 'eager' : 'lazy'}">` : ''}
+                    <div class="hero-carousel__overlay">
+                        <div class="hero-carousel__content">
+                            ${title ? `<h1 class="hero-carousel__title animate-fade-up">${escapeHtml(title)}</h1>` : ''}
+                            ${subtitle ? `<p class="hero-carousel__subtitle animate-fade-up animate-delay-1">${escapeHtml(subtitle)}</p>` : ''}
+                            <div class="btn-group btn-group--center animate-fade-up animate-delay-2">
+                                <a href="about.html" class="btn btn--gold btn--lg">${escapeHtml(labels.know_us)}</a>
+                                <a href="guide.html" class="btn btn--outline-white btn--lg">${escapeHtml(labels.student_guide)}</a>
+                            </div>
+                        </div>
+                    </div>
+                </div>`;
+    }).join('\n                ');
+}
+
+function renderHeroDots(slides, lang) {
+    return slides.map((slide, index) =>
+        `<button class="hero-carousel__dot${index === 0 ? ' hero-carousel__dot--active' : ''}" data-slide="${index}" aria-label="${escapeHtml(`${LABELS[lang].slide_label} ${index + 1}`)}"></button>`
+    ).join('');
+}
+
+/**
+ * Latest news cards of the home page (renderLatestNews() in main.js)
+ */
+function renderLatestNews(news, lang) {
+    return news.map((item, index) => {
+        const title = translate(item, 'title', lang) || item.title;
+        const category = CATEGORY_LABELS[lang][item.category] || item.category;
+        return `<article class="news-card" data-aos="fade-up" data-aos-delay="${index * 100}">
+                        ${isSafeUrl(item.image_url) ? `<div class="news-card__image">
+                            <img src="${escapeHtml(item.image_url)}" alt="${escapeHtml(title)}" loading="lazy">
+                        </div>` : ''}
+                        <div class="news-card__body">
+                            <div class="news-card__date">
+                                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="4" width="18" height="18" rx="2" ry="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/></svg>
+                                ${escapeHtml(formatShortDate(item.created_at, lang))}
+                            </div>
+                            <span class="news-card__tag news-card__tag--${CATEGORY_CLASSES[item.category] || 'primary'}">${escapeHtml(category)}</span>
+                            <h3 class="news-card__title">${escapeHtml(title)}</h3>
+                            <p class="news-card__text">${escapeHtml(truncate(newsBody(item, lang).excerpt, 120))}</p>
+                            <div class="news-card__footer">
+                                <span class="news-card__meta">${item.location ? escapeHtml(item.location) : ''}</span>
+                                <a href="${escapeHtml(item.slug ? articlePath(item, lang) : 'news.html')}" class="news-card__link">
+                                    ${escapeHtml(LABELS[lang].read_more)}
+                                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="19" y1="12" x2="5" y2="12"/><polyline points="12 19 5 12 12 5"/></svg>
+                                </a>
+                            </div>
+                        </div>
+                    </article>`;
+    }).join('\n                    ');
+}
+
+/**
+ * Cards of the news page (renderNewsGrid() in main.js)
+ */
+function renderNewsGrid(news, lang) {
+    return news.map(item => {
+        const title = translate(item, 'title', lang) || item.title;
+        const category = CATEGORY_LABELS[lang][item.category] || item.category;
+        return `<article class="card" data-category="${escapeHtml(item.category)}">
+                        ${isSafeUrl(item.image_url) ? `<div class="card__image">
+                            <img src="${escapeHtml(item.image_url)}" alt="${escapeHtml(title)}">
+                        </div>` : ''}
+                        <div class="card__body">
+                            <span class="tag tag--${CATEGORY_CLASSES[item.category] || 'primary'}">${escapeHtml(category)}</span>
+                            <h3 class="card__title"><a href="${escapeHtml(item.slug ? articlePath(item, lang) : 'news.html')}">${escapeHtml(title)}</a></h3>
+                            <p class="card__text">${escapeHtml(truncate(newsBody(item, lang).excerpt, 150))}</p>
+                            <div class="card__meta">
+                                <span>${escapeHtml(formatShortDate(item.created_at, lang))}</span>
+                                ${item.location ? `<span>${escapeHtml(item.location)}</span>` : ''}
+                            </div>
+                        </div>
+                    </article>`;
+    }).join('\n                    ');
+}
+
+/**
+ * Specialty cards of the home page (renderHomepageSpecialties() in main.js)
+ */
+function renderHomepageSpecialties(specialties, lang) {
+    return specialties.map((spec, index) => {
+        const name = translate(spec, 'name', lang) || spec.name;
+        const description = translate(spec, 'description', lang);
+        return `<div class="specialty-card-new" data-id="${spec.id}" data-aos="fade-up" data-aos-delay="${index * 100}">
+                        <div class="specialty-card-new__image-wrap">
+                            ${isSafeUrl(spec.image_url)
+                                ? `<img src="${escapeHtml(spec.image_url)}" alt="${escapeHtml(name)}" loading="lazy">`
+                                : `<div class="specialty-card-new__placeholder">
+                                <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5"><path d="M22 10v6M2 10l10-5 10 5-10 5z"/><path d="M6 12v5c3 3 10 3 12 0v-5"/></svg>
+                            </div>`}
+                        </div>
+                        <div class="specialty-card-new__body">
+                            <h3 class="specialty-card-new__title">${escapeHtml(spec.icon || '')} ${escapeHtml(name)}</h3>
+                            ${description ? `<p class="specialty-card-new__desc">${escapeHtml(description)}</p>` : ''}
+                        </div>
+                    </div>`;
+    }).join('\n                    ');
+}
+
+/**
+ * Specialty cards of the programs page (renderSpecialties() in main.js)
+ */
+function renderSpecialties(specialties, lang) {
+    const labels = LABELS[lang];
+    return specialties.map(spec => {
+        const name = translate(spec, 'name', lang) || spec.name;
+        const description = translate(spec, 'description', lang);
+        const duration = translate(spec, 'duration', lang);
+        const items = lang === 'fr' && spec.items_fr.length ? spec.items_fr : spec.items_ar;
+        return `<div class="specialty-card" data-id="${spec.id}">
+                        ${isSafeUrl(spec.image_url)
+                            ? `<img src="${escapeHtml(spec.image_url)}" alt="${escapeHtml(name)}" class="specialty-card__image" loading="lazy">`
+                            : `<div class="specialty-card__placeholder">${escapeHtml(spec.icon || '')}</div>`}
+                        <div class="specialty-card__body">
+                            <h3 class="specialty-card__title">${escapeHtml(spec.icon || '')} ${escapeHtml(name)}</h3>
+                            ${description ? `<p class="specialty-card__description">${escapeHtml(description)}</p>` : ''}
+                            ${items.length > 0 ? `<ul class="specialty-card__items">
+                                ${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+                            </ul>` : ''}
+                            ${duration ? `<p class="specialty-card__duration">${escapeHtml(labels.study_duration)}: ${escapeHtml(duration)}</p>` : ''}
+                            ${isSafeUrl(spec.video_url) ? `<button class="specialty-card__video-btn" data-video="${escapeHtml(spec.video_url)}" data-type="${escapeHtml(spec.video_type || 'youtube')}">
+                                ${escapeHtml(labels.watch_video)}
+                            </button>` : ''}
+                        </div>
+                    </div>`;
+    }).join('\n                    ');
+}
+
+/**
+ * The frontend page in a language, filled with its CMS data
+ */
+function renderPage(req, page, data, lang) {
+    const document = parseHtml(readPage(page));
+    const html = byTag(document, 'html');
+    html.attribs.lang = lang;
+    html.attribs.dir = lang === 'ar' ? 'rtl' : 'ltr';
+
+    if (lang !== DEFAULT_LANGUAGE) translateStaticTexts(document, lang);
+    fillSections(document, data.sections, lang);
+    renderHead(req, document, { page, ...data }, lang);
+
+    const slidesContainer = byId(document, 'heroSlides');
+    if (slidesContainer && data.slides.length > 0) {
+        setInnerHtml(slidesContainer, `\n                ${renderHeroSlides(data.slides, lang)}\n            `);
+        const dots = byId(document, 'heroDots');
+        if (dots) setInnerHtml(dots, renderHeroDots(data.slides, lang));
+    }
+
+    const latestNews = byId(document, 'latestNews');
+    if (latestNews && data.news.length > 0) {
+        setInnerHtml(latestNews, `\n                    ${renderLatestNews(data.news, lang)}\n                `);
+    }
+
+    const newsGrid = byId(document, 'newsGrid');
+    if (newsGrid && data.news.length > 0) {
+        setInnerHtml(newsGrid, `\n                    ${renderNewsGrid(data.news, lang)}\n                `);
+    }
+
+    const specialtiesGrid = byId(document, 'specialtiesGrid');
+    if (specialtiesGrid && data.specialties.length > 0) {
+        const cards = page === 'home'
+            ? renderHomepageSpecialties(data.specialties, lang)
+            : renderSpecialties(data.specialties, lang);
+        setInnerHtml(specialtiesGrid, `\n                    ${cards}\n                `);
+    }
+
+    return serializeHtml(document);
+}
+
+/**
+ * Send a frontend page rendered on the server (?lang=fr for French, Arabic by default).
+ * Without the database the static content of the page is kept.
+ */
+async function sendPage(req, res, page) {
+    const lang = getRequestedLanguage(req) || DEFAULT_LANGUAGE;
+
+    let data = { sections: [], slides: [], specialties: [], news: [] };
+    try {
+        data = await loadPageData(page);
+    } catch (error) {
+        console.error('Load page data error:', error);
+    }
+
+    try {
+        res.send(renderPage(req, page, data, lang));
+    } catch (error) {
+        console.error('Render page error:', error);
+        res.sendFile(path.join(FRONTEND_DIR, PAGE_FILES[page]));
+    }
+}
+
+/**
+ * GET / and /index.html - Home page
+ */
+router.get(['/', '/index.html'], (req, res) => sendPage(req, res, 'home'));
+
+/**
+ * GET /<page> and /<page>.html - About, news, guide, programs, services, contact and search pages
+ */
+PUBLIC_PAGES.forEach(page => {
+    router.get([`/${page}`, `/${page}.html`], (req, res) => sendPage(req, res, page));
+});
+
+// ========================================
+// NEWS ARTICLES
+// ========================================
+
+/**
+ * GET /news/:slug - Article page (?lang=fr for French, Arabic by default)
+ */
+router.get('/news/:slug', async (req, res) => {
+    try {
+        const news = await findPublishedBySlug(req.params.slug);
+        if (!news) {
+            return res.status(404).sendFile(path.join(FRONTEND_DIR, 'news.html'));
+        }
+
+        const [{ previous, next }, attachments] = await Promise.all([findNeighbours(news), findAttachments(news.id)]);
+        const safeAttachments = attachments.filter(attachment => isSafeUrl(attachment.url));
+        const images = safeAttachments.filter(attachment => attachment.kind === 'image');
+        const files = safeAttachments.filter(attachment => attachment.kind === 'file');
+
+        const lang = getRequestedLanguage(req) || DEFAULT_LANGUAGE;
+        const labels = LABELS[lang];
+        const title = translate(news, 'title', lang) || news.title;
+        const { html: content, excerpt: description } = newsBody(news, lang);
+        const url = absoluteUrl(req, articlePath(news, lang));
+        const imageUrl = isSafeUrl(news.image_url) ? absoluteUrl(req, news.image_url) : '';
+        // Share previews fall back to the first gallery photo
+        const shareImageUrl = imageUrl || (images[0] ? absoluteUrl(req, images[0].url) : '');
+        const date = new Date(news.created_at);
+
+        const html = renderTemplate('news-article.html', {
+            lang,
+            dir: lang === 'ar' ? 'rtl' : 'ltr',
+            site_name: SITE_NAMES[lang],
+            title,
+            description,
+            url,
+            url_encoded: encodeURIComponent(url),
+            title_encoded: encodeURIComponent(title),
+            share_text_encoded: encodeURIComponent(`${title} ${url}`),
+            og_locale: OG_LOCALES[lang],
+            feed_query: localizedPath('', lang),
+            og_image: shareImageUrl ? `<meta property="og:image" content="${escapeHtml(shareImageUrl)}">` : '',
+            twitter_card: shareImageUrl ? 'summary_large_image' : 'summary',
+            date_iso: date.toISOString(),
+            date: date.toLocaleDateString(lang === 'fr' ? 'fr-FR' : 'ar-DZ', { year: 'numeric', month: 'long', day: 'numeric' }),
+            category_class: CATEGORY_CLASSES[news.category] || 'primary',
+            category_label: CATEGORY_LABELS[lang][news.category] || news.category,
+            location: news.location ? `<span class="article__location">📍 ${escapeHtml(news.location)}</span>` : '',
+            image: imageUrl
+                ? `<figure class="article__image"><img src="${escapeHtml(news.image_url)}" alt="${escapeHtml(title)}"></figure>`
+                : '',
+            content,
+            gallery: renderGallery(images, lang, title),
+            attachments: renderAttachments(files, lang),
+            share_label: labels.share,
+            navigation_label: labels.navigation,
+            previous: articleLink(previous, lang, labels.previous, 'previous'),
+            next: articleLink(next, lang, labels.next, 'next')
+        });
+
+        res.send(html);
+    } catch (error) {
+        console.error('Render news article error:', error);
+        res.status(500).sendFile(path.join(FRONTEND_DIR, 'news.html'));
+    }
+});
+
+module.exports = router;
@@ -5,6 +5,8 @@
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '.env') });
 const { initializeDatabase, getClient } = require('./models/database');
+const { uniqueSlug } = require('./models/news');
+const { richTextColumns } = require('./utils/richtext');
 
 const sampleNews = [
     {
@@ -61,7 +63,10 @@ async function seedNews() {
         console.log('\nAdding sample news articles...\n');
 
         for (const [index, news] of sampleNews.entries()) {
-            const { error } = await supabase.from('news').insert(news);
+            const slug = await uniqueSlug(news.title);
+            const { error } = await supabase
+                .from('news')
+                .insert({ ...news, title_ar: news.title, content_ar: news.content, ...richTextColumns({ content_ar: news.content }), slug });
             if (error) throw error;
             console.log(`${index + 1}. ${news.title.substring(0, 50)}...`);
         }
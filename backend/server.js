@@ -19,7 +19,11 @@ if (dotenvResult.error) {
 }
 
 // Import database initialization
-const { initializeDatabase, getSeedStatus, forceReseed } = require('./models/database');
+const { initializeDatabase } = require('./models/database');
+const { createSessionStore } = require('./models/sessionStore');
+const { checkOrigin } = require('./middleware/csrf');
+const { startNewsScheduler } = require('./utils/scheduler');
+const { configuredSiteUrl } = require('./utils/render');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -27,43 +31,60 @@ const newsRoutes = require('./routes/news');
 const messagesRoutes = require('./routes/messages');
 const pagesRoutes = require('./routes/pages');
 const mediaRoutes = require('./routes/media');
+const membershipsRoutes = require('./routes/memberships');
+const adminsRoutes = require('./routes/admins');
+const maintenanceRoutes = require('./routes/maintenance');
+const auditRoutes = require('./routes/audit');
+const searchRoutes = require('./routes/search');
+const siteRoutes = require('./routes/site');
+const feedRoutes = require('./routes/feeds');
+const seoRoutes = require('./routes/seo');
 
 // Create Express app
 const app = express();
 
+// Database readiness, updated once initializeDatabase() settles
+app.locals.dbStatus = { connected: false, error: null, timestamp: null };
+
 // ======================
 // MIDDLEWARE
 // ======================
 
-// CORS configuration - in production, same-origin requests don't need CORS
+const isProduction = process.env.NODE_ENV === 'production';
+
+// CORS configuration - in production only the origins in ALLOWED_ORIGINS (and the site itself) are accepted
 const allowedOrigins = process.env.ALLOWED_ORIGINS
-    ? process.env.ALLOWED_ORIGINS.split(',')
+    ? process.env.ALLOWED_ORIGINS.split(',').map(origin => origin.trim()).filter(Boolean)
     : ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:5500', 'http://127.0.0.1:5500'];
 
 app.use(cors({
     origin: function(origin, callback) {
         // Allow requests with no origin (same-origin, mobile apps, etc.)
         if (!origin) return callback(null, true);
-        if (allowedOrigins.indexOf(origin) !== -1 || process.env.NODE_ENV === 'production') {
+        if (allowedOrigins.indexOf(origin) !== -1 || !isProduction) {
             callback(null, true);
         } else {
-            callback(null, true); // Allow all in development
+            callback(null, false); // No CORS headers - the browser blocks the response
         }
     },
     credentials: true
 }));
 
+// CORS only hides responses; also refuse state-changing calls from foreign origins
+if (isProduction) {
+    app.use('/api', checkOrigin(allowedOrigins));
+}
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-const isProduction = process.env.NODE_ENV === 'production';
-
 // Trust proxy MUST be set BEFORE session middleware (Hostinger uses reverse proxy)
 if (isProduction) {
     app.set('trust proxy', 1);
 }
 
 app.use(session({
+    store: createSessionStore(),
     secret: process.env.SESSION_SECRET || 'mauritania-union-secret-key-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -91,6 +112,10 @@ app.get('/assets/uploads/*', (req, res) => {
     }
 });
 
+// Public pages are rendered on the server with their CMS content, so the static
+// middleware below only serves their assets
+app.use(siteRoutes);
+
 app.use(express.static(path.join(__dirname, '..', 'frontend')));
 app.use('/admin', express.static(path.join(__dirname, 'admin')));
 
@@ -103,18 +128,19 @@ app.use('/api/news', newsRoutes);
 app.use('/api/messages', messagesRoutes);
 app.use('/api/pages', pagesRoutes);
 app.use('/api/media', mediaRoutes);
+app.use('/api/memberships', membershipsRoutes);
+app.use('/api/admins', adminsRoutes);
+app.use('/api/admin/maintenance', maintenanceRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/search', searchRoutes);
 
 // ======================
 // FRONTEND ROUTES
 // ======================
 
-const pages = ['about', 'news', 'guide', 'programs', 'services', 'contact'];
-
-pages.forEach(page => {
-    app.get(`/${page}`, (req, res) => {
-        res.sendFile(path.join(__dirname, '..', 'frontend', `${page}.html`));
-    });
-});
+// News feeds, sitemap.xml and robots.txt (the pages are mounted before the static files)
+app.use(feedRoutes);
+app.use(seoRoutes);
 
 app.get('/admin', (req, res) => {
     res.sendFile(path.join(__dirname, 'admin', 'index.html'));
@@ -130,114 +156,20 @@ app.get('/admin/*', (req, res) => {
     });
 });
 
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, '..', 'frontend', 'index.html'));
-});
-
 // ======================
-// DIAGNOSTIC ENDPOINT
+// HEALTH CHECK
 // ======================
 
-let dbStatus = { connected: false, error: null, timestamp: null };
-
-app.get('/api/health', async (req, res) => {
-    const seedStatus = await getSeedStatus();
+// Public liveness/readiness probe - detailed diagnostics live under /api/admin/maintenance
+app.get('/api/health', (req, res) => {
+    const ready = app.locals.dbStatus.connected;
     res.json({
-        server: 'running',
-        timestamp: new Date().toISOString(),
-        node_version: process.version,
-        env: process.env.NODE_ENV || 'development',
-        cwd: process.cwd(),
-        dirname: __dirname,
-        db: dbStatus,
-        seed: seedStatus,
-        env_loaded: {
-            SUPABASE_URL: process.env.SUPABASE_URL ? 'set' : 'NOT SET',
-            SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY ? 'set (hidden)' : 'NOT SET',
-            SESSION_SECRET: process.env.SESSION_SECRET ? 'set' : 'NOT SET'
-        },
-        supabase_installed: (() => {
-            try { require.resolve('@supabase/supabase-js'); return true; } catch(e) { return false; }
-        })()
+        status: 'ok',
+        database: ready ? 'ready' : 'unavailable',
+        timestamp: new Date().toISOString()
     });
 });
 
-// Storage diagnostic endpoint
-app.get('/api/storage-check', async (req, res) => {
-    try {
-        const { getClient } = require('./models/database');
-        const supabase = getClient();
-
-        // List buckets
-        const { data: buckets, error: bucketsErr } = await supabase.storage.listBuckets();
-        if (bucketsErr) {
-            return res.json({ success: false, error: 'listBuckets failed: ' + bucketsErr.message });
-        }
-
-        const uploadsBucket = buckets.find(b => b.name === 'uploads');
-
-        // Try test upload
-        let testUpload = { success: false };
-        if (uploadsBucket) {
-            const testPath = '_test/diag-' + Date.now() + '.txt';
-            const { error: upErr } = await supabase.storage
-                .from('uploads')
-                .upload(testPath, Buffer.from('test'), { contentType: 'text/plain', upsert: true });
-            if (upErr) {
-                testUpload = { success: false, error: upErr.message, statusCode: upErr.statusCode, details: JSON.stringify(upErr) };
-            } else {
-                const { data: urlData } = supabase.storage.from('uploads').getPublicUrl(testPath);
-                await supabase.storage.from('uploads').remove([testPath]);
-                testUpload = { success: true, publicUrl: urlData.publicUrl };
-            }
-        }
-
-        res.json({
-            buckets: buckets.map(b => ({ name: b.name, public: b.public, created_at: b.created_at })),
-            uploadsBucket: uploadsBucket ? { exists: true, public: uploadsBucket.public, file_size_limit: uploadsBucket.file_size_limit, allowed_mime_types: uploadsBucket.allowed_mime_types } : { exists: false },
-            testUpload
-        });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message, stack: error.stack });
-    }
-});
-
-// Force bucket to public
-app.get('/api/fix-bucket', async (req, res) => {
-    try {
-        const { getClient } = require('./models/database');
-        const supabase = getClient();
-
-        const { error } = await supabase.storage.updateBucket('uploads', {
-            public: true,
-            fileSizeLimit: 5 * 1024 * 1024,
-            allowedMimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
-        });
-
-        if (error) {
-            return res.json({ success: false, error: error.message, details: JSON.stringify(error) });
-        }
-
-        // Verify
-        const { data: buckets } = await supabase.storage.listBuckets();
-        const bucket = buckets.find(b => b.name === 'uploads');
-
-        res.json({ success: true, message: 'Bucket updated to public', bucket: { public: bucket.public, file_size_limit: bucket.file_size_limit, allowed_mime_types: bucket.allowed_mime_types } });
-    } catch (error) {
-        res.status(500).json({ success: false, error: error.message });
-    }
-});
-
-// Force re-seed endpoint (creates admin + default content if missing)
-app.get('/api/reseed', async (req, res) => {
-    try {
-        const result = await forceReseed();
-        res.json({ success: true, message: 'Re-seeded successfully', seed: result });
-    } catch (error) {
-        res.status(500).json({ success: false, message: error.message, stack: error.stack });
-    }
-});
-
 // ======================
 // ERROR HANDLING
 // ======================
@@ -273,17 +205,22 @@ app.listen(PORT, '0.0.0.0', () => {
     console.log(`  Database: Supabase (PostgreSQL)`);
     console.log('='.repeat(50));
 
+    if (isProduction && !configuredSiteUrl()) {
+        console.warn('SITE_URL is not set: feeds, sitemap and share tags fall back to the request Host header, and notification emails carry no admin link.');
+    }
+
     // Now try to connect to database
     initializeDatabase()
         .then(() => {
-            dbStatus = { connected: true, error: null, timestamp: new Date().toISOString() };
+            app.locals.dbStatus = { connected: true, error: null, timestamp: new Date().toISOString() };
             console.log('Database initialized successfully');
+            startNewsScheduler();
         })
         .catch((error) => {
-            dbStatus = { connected: false, error: error.message, stack: error.stack, timestamp: new Date().toISOString() };
+            app.locals.dbStatus = { connected: false, error: error.message, timestamp: new Date().toISOString() };
             console.error('Database initialization failed:', error.message);
             console.error('Server is running but database is not connected.');
-            console.error('Visit /api/health to see diagnostics.');
+            console.error('Log in as a super-admin and use /api/admin/maintenance/status for diagnostics.');
         });
 });
 
@@ -54,6 +54,56 @@ BEGIN
         password VARCHAR(255) NOT NULL,
         created_at TIMESTAMPTZ DEFAULT NOW()
     );
+    -- Accounts that predate roles keep full access; new accounts default to editor
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS role VARCHAR(50) NOT NULL DEFAULT 'super_admin';
+    ALTER TABLE admins ALTER COLUMN role SET DEFAULT 'editor';
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS is_active BOOLEAN NOT NULL DEFAULT TRUE;
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS last_login_at TIMESTAMPTZ;
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS failed_login_count INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+    -- Seeded and admin-created accounts must pick their own password at first login
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE;
+    -- Two-factor authentication (TOTP); recovery codes are stored as bcrypt hashes
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64);
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+    ALTER TABLE admins ADD COLUMN IF NOT EXISTS totp_recovery_codes JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+    -- Admin sessions (express-session store, see models/sessionStore.js)
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+        sid VARCHAR(255) PRIMARY KEY,
+        sess JSONB NOT NULL,
+        admin_id INTEGER REFERENCES admins(id) ON DELETE CASCADE,
+        expires_at TIMESTAMPTZ NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW(),
+        updated_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Failed login attempts (audit trail for brute-force detection)
+    CREATE TABLE IF NOT EXISTS login_attempts (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(255),
+        ip_address VARCHAR(100),
+        user_agent TEXT,
+        reason VARCHAR(50) NOT NULL,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Audit log of admin changes (changes = { field: { from, to } })
+    CREATE TABLE IF NOT EXISTS audit_log (
+        id SERIAL PRIMARY KEY,
+        admin_id INTEGER REFERENCES admins(id) ON DELETE SET NULL,
+        admin_username VARCHAR(255),
+        action VARCHAR(50) NOT NULL,
+        entity_type VARCHAR(50) NOT NULL,
+        entity_id VARCHAR(255),
+        summary TEXT,
+        changes JSONB NOT NULL DEFAULT '{}'::jsonb,
+        ip_address VARCHAR(100),
+        user_agent TEXT,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
 
     -- News table
     CREATE TABLE IF NOT EXISTS news (
@@ -67,6 +117,47 @@ BEGIN
         created_at TIMESTAMPTZ DEFAULT NOW(),
         updated_at TIMESTAMPTZ DEFAULT NOW()
     );
+    -- Bilingual content; title/content stay as a copy of the Arabic text
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS title_ar VARCHAR(500);
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS title_fr VARCHAR(500);
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS content_ar TEXT;
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS content_fr TEXT;
+    UPDATE news SET title_ar = title WHERE title_ar IS NULL;
+    UPDATE news SET content_ar = content WHERE content_ar IS NULL;
+    -- URL slug (/news/:slug); older items get news-<id>
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS slug VARCHAR(255);
+    UPDATE news SET slug = 'news-' || id WHERE slug IS NULL;
+    -- Scheduling: the server publishes at publish_at and unpublishes at expire_at
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS publish_at TIMESTAMPTZ;
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS expire_at TIMESTAMPTZ;
+    -- Once an item has been published its slug no longer follows the title
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS first_published_at TIMESTAMPTZ;
+    UPDATE news SET first_published_at = COALESCE(publish_at, created_at) WHERE published AND first_published_at IS NULL;
+    -- Rich text: content_* is Markdown, the server stores its sanitized HTML and a plain-text
+    -- excerpt on save; older plain-text items are rendered on the fly until edited
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS content_html_ar TEXT;
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS content_html_fr TEXT;
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS excerpt_ar TEXT;
+    ALTER TABLE news ADD COLUMN IF NOT EXISTS excerpt_fr TEXT;
+    UPDATE news SET excerpt_ar = CASE WHEN char_length(content_ar) > 160 THEN left(content_ar, 160) || '…' ELSE content_ar END
+        WHERE excerpt_ar IS NULL AND content_ar IS NOT NULL;
+    UPDATE news SET excerpt_fr = CASE WHEN char_length(content_fr) > 160 THEN left(content_fr, 160) || '…' ELSE content_fr END
+        WHERE excerpt_fr IS NULL AND content_fr IS NOT NULL AND content_fr <> '';
+
+    -- News photos and documents, in display order (images form the article gallery)
+    CREATE TABLE IF NOT EXISTS news_attachments (
+        id SERIAL PRIMARY KEY,
+        news_id INTEGER NOT NULL REFERENCES news(id) ON DELETE CASCADE,
+        kind VARCHAR(20) NOT NULL DEFAULT 'image',
+        url TEXT NOT NULL,
+        caption_ar VARCHAR(500),
+        caption_fr VARCHAR(500),
+        file_name VARCHAR(255),
+        mime_type VARCHAR(100),
+        size INTEGER,
+        display_order INTEGER DEFAULT 0,
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
 
     -- Contact messages table
     CREATE TABLE IF NOT EXISTS messages (
@@ -79,6 +170,40 @@ BEGIN
         is_read BOOLEAN DEFAULT FALSE,
         created_at TIMESTAMPTZ DEFAULT NOW()
     );
+    -- Spam scoring: suspected spam is kept out of the inbox, in the spam folder
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS spam_score INTEGER NOT NULL DEFAULT 0;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS spam_reasons JSONB NOT NULL DEFAULT '[]'::jsonb;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS is_spam BOOLEAN NOT NULL DEFAULT FALSE;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS body_hash VARCHAR(64);
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS ip_address VARCHAR(100);
+    -- Language of the contact form, used for the acknowledgement and replies
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS lang VARCHAR(5) NOT NULL DEFAULT 'ar';
+    -- Case handling: new, in_progress, waiting_on_student, resolved; assigned admin
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS status VARCHAR(30) NOT NULL DEFAULT 'new';
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES admins(id) ON DELETE SET NULL;
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+    -- Handled messages can be archived out of the inbox
+    ALTER TABLE messages ADD COLUMN IF NOT EXISTS is_archived BOOLEAN NOT NULL DEFAULT FALSE;
+
+    -- Replies emailed to the sender of a contact message
+    CREATE TABLE IF NOT EXISTS message_replies (
+        id SERIAL PRIMARY KEY,
+        message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        body TEXT NOT NULL,
+        admin_id INTEGER,
+        admin_username VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
+
+    -- Internal notes on contact messages, never sent to the sender
+    CREATE TABLE IF NOT EXISTS message_notes (
+        id SERIAL PRIMARY KEY,
+        message_id INTEGER NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+        note TEXT NOT NULL,
+        admin_id INTEGER,
+        admin_username VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
 
     -- Page content table
     CREATE TABLE IF NOT EXISTS page_content (
@@ -92,6 +217,10 @@ BEGIN
         updated_at TIMESTAMPTZ DEFAULT NOW(),
         UNIQUE (page_name, section_id)
     );
+    -- Bilingual content; content stays as a copy of the Arabic text
+    ALTER TABLE page_content ADD COLUMN IF NOT EXISTS content_ar TEXT;
+    ALTER TABLE page_content ADD COLUMN IF NOT EXISTS content_fr TEXT;
+    UPDATE page_content SET content_ar = content WHERE content_ar IS NULL;
 
     -- Membership applications table
     CREATE TABLE IF NOT EXISTS memberships (
@@ -106,6 +235,19 @@ BEGIN
         status VARCHAR(50) DEFAULT 'pending',
         created_at TIMESTAMPTZ DEFAULT NOW()
     );
+    ALTER TABLE memberships ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+    -- Membership status history and review notes
+    CREATE TABLE IF NOT EXISTS membership_history (
+        id SERIAL PRIMARY KEY,
+        membership_id INTEGER NOT NULL REFERENCES memberships(id) ON DELETE CASCADE,
+        from_status VARCHAR(50),
+        to_status VARCHAR(50) NOT NULL,
+        note TEXT,
+        admin_id INTEGER,
+        admin_username VARCHAR(255),
+        created_at TIMESTAMPTZ DEFAULT NOW()
+    );
 
     -- Hero slides table (for homepage carousel)
     CREATE TABLE IF NOT EXISTS hero_slides (
@@ -119,6 +261,16 @@ BEGIN
         is_active BOOLEAN DEFAULT TRUE,
         created_at TIMESTAMPTZ DEFAULT NOW()
     );
+    -- Bilingual content; title/subtitle/link_text stay as a copy of the Arabic text
+    ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS title_ar VARCHAR(500);
+    ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS title_fr VARCHAR(500);
+    ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS subtitle_ar VARCHAR(500);
+    ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS subtitle_fr VARCHAR(500);
+    ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS link_text_ar VARCHAR(255);
+    ALTER TABLE hero_slides ADD COLUMN IF NOT EXISTS link_text_fr VARCHAR(255);
+    UPDATE hero_slides SET title_ar = title WHERE title_ar IS NULL;
+    UPDATE hero_slides SET subtitle_ar = subtitle WHERE subtitle_ar IS NULL;
+    UPDATE hero_slides SET link_text_ar = link_text WHERE link_text_ar IS NULL;
 
     -- Specialties table (for programs page)
     CREATE TABLE IF NOT EXISTS specialties (
@@ -137,30 +289,63 @@ BEGIN
         created_at TIMESTAMPTZ DEFAULT NOW(),
         updated_at TIMESTAMPTZ DEFAULT NOW()
     );
+    -- Bilingual content (name is the identifier, name_ar already existed);
+    -- description/duration/items stay as a copy of the Arabic text
+    ALTER TABLE specialties ADD COLUMN IF NOT EXISTS name_fr VARCHAR(255);
+    ALTER TABLE specialties ADD COLUMN IF NOT EXISTS description_ar TEXT;
+    ALTER TABLE specialties ADD COLUMN IF NOT EXISTS description_fr TEXT;
+    ALTER TABLE specialties ADD COLUMN IF NOT EXISTS duration_ar VARCHAR(100);
+    ALTER TABLE specialties ADD COLUMN IF NOT EXISTS duration_fr VARCHAR(100);
+    ALTER TABLE specialties ADD COLUMN IF NOT EXISTS items_ar TEXT;
+    ALTER TABLE specialties ADD COLUMN IF NOT EXISTS items_fr TEXT;
+    UPDATE specialties SET description_ar = description WHERE description_ar IS NULL;
+    UPDATE specialties SET duration_ar = duration WHERE duration_ar IS NULL;
+    UPDATE specialties SET items_ar = items WHERE items_ar IS NULL;
 
     -- Enable Row Level Security
     ALTER TABLE admins ENABLE ROW LEVEL SECURITY;
     ALTER TABLE news ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE news_attachments ENABLE ROW LEVEL SECURITY;
     ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE message_replies ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE message_notes ENABLE ROW LEVEL SECURITY;
     ALTER TABLE page_content ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE admin_sessions ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE login_attempts ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
     ALTER TABLE memberships ENABLE ROW LEVEL SECURITY;
+    ALTER TABLE membership_history ENABLE ROW LEVEL SECURITY;
     ALTER TABLE hero_slides ENABLE ROW LEVEL SECURITY;
     ALTER TABLE specialties ENABLE ROW LEVEL SECURITY;
 
     -- RLS Policies (drop + create to stay idempotent)
     DROP POLICY IF EXISTS "Service role full access on admins" ON admins;
     DROP POLICY IF EXISTS "Service role full access on news" ON news;
+    DROP POLICY IF EXISTS "Service role full access on news_attachments" ON news_attachments;
     DROP POLICY IF EXISTS "Service role full access on messages" ON messages;
+    DROP POLICY IF EXISTS "Service role full access on message_replies" ON message_replies;
+    DROP POLICY IF EXISTS "Service role full access on message_notes" ON message_notes;
     DROP POLICY IF EXISTS "Service role full access on page_content" ON page_content;
+    DROP POLICY IF EXISTS "Service role full access on admin_sessions" ON admin_sessions;
+    DROP POLICY IF EXISTS "Service role full access on login_attempts" ON login_attempts;
+    DROP POLICY IF EXISTS "Service role full access on audit_log" ON audit_log;
     DROP POLICY IF EXISTS "Service role full access on memberships" ON memberships;
+    DROP POLICY IF EXISTS "Service role full access on membership_history" ON membership_history;
     DROP POLICY IF EXISTS "Service role full access on hero_slides" ON hero_slides;
     DROP POLICY IF EXISTS "Service role full access on specialties" ON specialties;
 
     CREATE POLICY "Service role full access on admins" ON admins FOR ALL USING (true) WITH CHECK (true);
     CREATE POLICY "Service role full access on news" ON news FOR ALL USING (true) WITH CHECK (true);
+    CREATE POLICY "Service role full access on news_attachments" ON news_attachments FOR ALL USING (true) WITH CHECK (true);
     CREATE POLICY "Service role full access on messages" ON messages FOR ALL USING (true) WITH CHECK (true);
+    CREATE POLICY "Service role full access on message_replies" ON message_replies FOR ALL USING (true) WITH CHECK (true);
+    CREATE POLICY "Service role full access on message_notes" ON message_notes FOR ALL USING (true) WITH CHECK (true);
     CREATE POLICY "Service role full access on page_content" ON page_content FOR ALL USING (true) WITH CHECK (true);
+    CREATE POLICY "Service role full access on admin_sessions" ON admin_sessions FOR ALL USING (true) WITH CHECK (true);
+    CREATE POLICY "Service role full access on login_attempts" ON login_attempts FOR ALL USING (true) WITH CHECK (true);
+    CREATE POLICY "Service role full access on audit_log" ON audit_log FOR ALL USING (true) WITH CHECK (true);
     CREATE POLICY "Service role full access on memberships" ON memberships FOR ALL USING (true) WITH CHECK (true);
+    CREATE POLICY "Service role full access on membership_history" ON membership_history FOR ALL USING (true) WITH CHECK (true);
     CREATE POLICY "Service role full access on hero_slides" ON hero_slides FOR ALL USING (true) WITH CHECK (true);
     CREATE POLICY "Service role full access on specialties" ON specialties FOR ALL USING (true) WITH CHECK (true);
 
@@ -168,9 +353,30 @@ BEGIN
     CREATE INDEX IF NOT EXISTS idx_news_published ON news (published);
     CREATE INDEX IF NOT EXISTS idx_news_category ON news (category);
     CREATE INDEX IF NOT EXISTS idx_news_created_at ON news (created_at DESC);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_news_slug ON news (slug);
+    CREATE INDEX IF NOT EXISTS idx_news_publish_at ON news (publish_at) WHERE publish_at IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_news_expire_at ON news (expire_at) WHERE expire_at IS NOT NULL;
+    CREATE INDEX IF NOT EXISTS idx_news_attachments_news ON news_attachments (news_id, display_order);
     CREATE INDEX IF NOT EXISTS idx_messages_is_read ON messages (is_read);
     CREATE INDEX IF NOT EXISTS idx_messages_created_at ON messages (created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_messages_is_spam ON messages (is_spam);
+    CREATE INDEX IF NOT EXISTS idx_messages_body_hash ON messages (body_hash);
+    CREATE INDEX IF NOT EXISTS idx_message_replies_message ON message_replies (message_id);
+    CREATE INDEX IF NOT EXISTS idx_message_notes_message ON message_notes (message_id);
+    CREATE INDEX IF NOT EXISTS idx_messages_status ON messages (status);
+    CREATE INDEX IF NOT EXISTS idx_messages_assigned_to ON messages (assigned_to);
+    CREATE INDEX IF NOT EXISTS idx_messages_is_archived ON messages (is_archived);
     CREATE INDEX IF NOT EXISTS idx_page_content_page ON page_content (page_name);
+    CREATE INDEX IF NOT EXISTS idx_admin_sessions_admin ON admin_sessions (admin_id);
+    CREATE INDEX IF NOT EXISTS idx_admin_sessions_expires_at ON admin_sessions (expires_at);
+    CREATE INDEX IF NOT EXISTS idx_login_attempts_created_at ON login_attempts (created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_login_attempts_username ON login_attempts (username);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log (created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);
+    CREATE INDEX IF NOT EXISTS idx_audit_log_admin ON audit_log (admin_id);
+    CREATE INDEX IF NOT EXISTS idx_memberships_status ON memberships (status);
+    CREATE INDEX IF NOT EXISTS idx_memberships_created_at ON memberships (created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_membership_history_membership ON membership_history (membership_id);
     CREATE INDEX IF NOT EXISTS idx_hero_slides_active ON hero_slides (is_active);
     CREATE INDEX IF NOT EXISTS idx_specialties_active ON specialties (is_active);
 END;
@@ -0,0 +1,106 @@
+/**
+ * Audit Log Helper
+ * Records who changed what in the admin panel (audit_log table)
+ */
+
+const { getClient } = require('../models/database');
+
+// Bookkeeping columns that change on every save and add nothing to a diff
+const IGNORED_FIELDS = ['updated_at', 'created_at'];
+
+// Name recorded for changes made by the server itself (e.g. scheduled publishing)
+const SYSTEM_USERNAME = 'system';
+
+// Never copy secrets into the log
+const REDACTED_FIELDS = ['password', 'totp_secret', 'totp_recovery_codes'];
+
+// Every action and entity type written to the log (the audit dashboard filters on these)
+const AUDIT_ACTIONS = [
+    'create', 'update', 'delete', 'publish', 'unpublish', 'scheduled_publish', 'scheduled_expire', 'upload',
+    'mark_read', 'mark_unread', 'mark_spam', 'mark_not_spam', 'reply', 'assign', 'archive', 'unarchive', 'export', 'status_change', 'add_note',
+    'reset_password', 'change_password', 'unlock', 'enable_2fa', 'disable_2fa', 'reset_2fa',
+    'fix_bucket', 'reseed'
+];
+const AUDIT_ENTITY_TYPES = ['news', 'page_section', 'hero_slide', 'specialty', 'file', 'message', 'membership', 'admin', 'maintenance'];
+
+function sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * Field-by-field difference between two versions of a row
+ * @param {Object|null} before - row before the change (null for a create)
+ * @param {Object|null} after - row after the change (null for a delete)
+ * @returns {Object} { field: { from, to } } for every field that changed
+ */
+function diff(before, after) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const field of fields) {
+        if (IGNORED_FIELDS.includes(field)) continue;
+
+        // On an update, fields missing from `after` were not touched
+        if (before && after && !(field in after)) continue;
+
+        const from = before ? before[field] : null;
+        const to = after ? after[field] : null;
+        if (sameValue(from, to)) continue;
+
+        changes[field] = REDACTED_FIELDS.includes(field)
+            ? { from: '[redacted]', to: '[redacted]' }
+            : { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+    return changes;
+}
+
+/**
+ * audit_log row for one entry
+ */
+function auditRow(req, { action, entityType, entityId, before, after, summary }) {
+    const session = req ? req.session : null;
+    return {
+        admin_id: session ? session.adminId : null,
+        admin_username: req ? (session ? session.adminUsername : null) : SYSTEM_USERNAME,
+        action,
+        entity_type: entityType,
+        entity_id: entityId !== undefined && entityId !== null ? String(entityId) : null,
+        summary: summary || null,
+        changes: diff(before || null, after || null),
+        ip_address: req ? req.ip || null : null,
+        user_agent: req ? (req.get('user-agent') || '').substring(0, 300) : null
+    };
+}
+
+/**
+ * Record an admin action. Never throws - a failed audit write is logged
+ * but does not fail the request that made the change.
+ * @param {Object|null} req - request of the logged-in admin, or null for a change made by the server
+ * @param {Object|Object[]} entry - one entry, or several written with a single insert (bulk actions)
+ * @param {string} entry.action - one of AUDIT_ACTIONS
+ * @param {string} entry.entityType - one of AUDIT_ENTITY_TYPES
+ * @param {string|number} [entry.entityId]
+ * @param {Object} [entry.before] - row before the change
+ * @param {Object} [entry.after] - row (or changed fields) after the change
+ * @param {string} [entry.summary] - short human-readable description
+ */
+async function recordAudit(req, entry) {
+    const entries = Array.isArray(entry) ? entry : [entry];
+    if (entries.length === 0) return;
+
+    try {
+        const supabase = getClient();
+        const rows = entries.map(item => auditRow(req, item));
+        const { error } = await supabase.from('audit_log').insert(rows.length === 1 ? rows[0] : rows);
+        if (error) throw error;
+    } catch (error) {
+        console.error('Audit log error:', error.message);
+    }
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_ENTITY_TYPES,
+    diff,
+    recordAudit
+};
@@ -0,0 +1,153 @@
+/**
+ * Spreadsheet exports (CSV and XLSX) for the admin panel
+ * Headers are written in Arabic or French; Arabic sheets are right-to-left,
+ * so the first column (the id) shows on the right as in the admin tables.
+ */
+
+const ExcelJS = require('exceljs');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./i18n');
+
+const FORMATS = ['csv', 'xlsx'];
+
+// Rows are read from Supabase in pages of this size (its default row limit)
+const FETCH_BATCH_SIZE = 1000;
+const MAX_EXPORT_ROWS = 20000;
+
+// Dates are written in the union's local time
+const EXPORT_TIME_ZONE = 'Africa/Algiers';
+
+const dateFormatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone: EXPORT_TIME_ZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * Date as "YYYY-MM-DD HH:mm" (sorts correctly as text), '' when empty
+ */
+function formatExportDate(value) {
+    if (!value) return '';
+    const parts = {};
+    dateFormatter.formatToParts(new Date(value)).forEach(part => { parts[part.type] = part.value; });
+    return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+/**
+ * Export options of a request: format (csv, default xlsx) and language of the headers
+ * @returns {{ format: string, lang: string }|null} null when the format is not supported
+ */
+function getExportOptions(req) {
+    const format = String(req.query.format || 'xlsx').toLowerCase();
+    if (!FORMATS.includes(format)) return null;
+    const lang = LANGUAGES.includes(req.query.lang) ? req.query.lang : DEFAULT_LANGUAGE;
+    return { format, lang };
+}
+
+/**
+ * Read every row of a query, page by page, up to MAX_EXPORT_ROWS
+ * @param {Function} buildQuery - returns a fresh, ordered Supabase query
+ * @returns {Promise<Object[]>}
+ */
+async function fetchAllRows(buildQuery) {
+    const rows = [];
+    for (let offset = 0; offset < MAX_EXPORT_ROWS; offset += FETCH_BATCH_SIZE) {
+        const { data, error } = await buildQuery().range(offset, offset + FETCH_BATCH_SIZE - 1);
+        if (error) throw error;
+        rows.push(...data);
+        if (data.length < FETCH_BATCH_SIZE) break;
+    }
+    return rows.slice(0, MAX_EXPORT_ROWS);
+}
+
+function cellValue(column, row, lang) {
+    const value = column.value ? column.value(row, lang) : row[column.key];
+    return value === undefined || value === null ? '' : value;
+}
+
+/**
+ * CSV text that a spreadsheet would run as a formula gets a leading quote
+ */
+function neutralizeFormula(value) {
+    return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvField(value) {
+    const text = String(neutralizeFormula(value));
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a UTF-8 byte order mark, so Excel reads Arabic text correctly
+ * @param {Object[]} columns - { key, header: { ar, fr }, value?(row, lang), width? }
+ * @param {Object[]} rows
+ * @param {string} lang
+ * @returns {Buffer}
+ */
+function toCsv(columns, rows, lang) {
+    const lines = [columns.map(column => csvField(column.header[lang])).join(',')];
+    rows.forEach(row => {
+        lines.push(columns.map(column => csvField(cellValue(column, row, lang))).join(','));
+    });
+    return Buffer.from('\uFEFF' + lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+/**
+ * XLSX workbook with one sheet, bold frozen header row and an auto-filter
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(columns, rows, lang, sheetName) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.created = new Date();
+
+    const sheet = workbook.addWorksheet(sheetName, {
+        views: [{ rightToLeft: lang === 'ar', state: 'frozen', ySplit: 1 }]
+    });
+    sheet.columns = columns.map(column => ({
+        header: column.header[lang],
+        key: column.key,
+        width: column.width || 18
+    }));
+    rows.forEach(row => {
+        const values = {};
+        // Text cells of an XLSX file are never evaluated, unlike CSV fields
+        columns.forEach(column => { values[column.key] = cellValue(column, row, lang); });
+        sheet.addRow(values);
+    });
+
+    sheet.getRow(1).font = { bold: true };
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * Send rows as a CSV or XLSX download named <baseName>-<date>.<format>
+ * @param {Object} res
+ * @param {Object} options - { format, lang, baseName, sheetName, columns, rows }
+ */
+async function sendExport(res, { format, lang, baseName, sheetName, columns, rows }) {
+    const fileName = `${baseName}-${new Date().toISOString().substring(0, 10)}.${format}`;
+    const body = format === 'csv'
+        ? toCsv(columns, rows, lang)
+        : await toXlsx(columns, rows, lang, sheetName);
+
+    res.set({
+        'Content-Type': format === 'csv'
+            ? 'text/csv; charset=utf-8'
+            : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'Cache-Control': 'no-store'
+    });
+    res.send(body);
+}
+
+module.exports = {
+    formatExportDate,
+    getExportOptions,
+    fetchAllRows,
+    sendExport
+};
@@ -0,0 +1,121 @@
+/**
+ * HTML document helpers for filling the static frontend pages on the server
+ * (a small DOM over htmlparser2: find elements, replace their text or markup, serialize)
+ */
+
+const { parseDocument, DomUtils } = require('htmlparser2');
+const { escapeHtml } = require('./render');
+
+/**
+ * @param {string} html
+ * @returns {Object} document
+ */
+function parseHtml(html) {
+    return parseDocument(html);
+}
+
+/**
+ * Serialize a document back to HTML; only markup characters are escaped, so
+ * Arabic and accented text stays readable in the source
+ */
+function serializeHtml(document) {
+    return DomUtils.getOuterHTML(document, { encodeEntities: 'utf8' });
+}
+
+/**
+ * All elements matching a test
+ * @param {Object} root - document or element
+ * @param {function(Object): boolean} test
+ * @returns {Object[]}
+ */
+function findElements(root, test) {
+    return DomUtils.findAll(test, root.children);
+}
+
+function findElement(root, test) {
+    return DomUtils.findOne(test, root.children);
+}
+
+function byId(root, id) {
+    return findElement(root, element => element.attribs.id === id);
+}
+
+function byTag(root, name) {
+    return findElement(root, element => element.name === name);
+}
+
+function hasClass(element, className) {
+    return (element.attribs.class || '').split(/\s+/).includes(className);
+}
+
+function textOf(element) {
+    return DomUtils.textContent(element);
+}
+
+/**
+ * Replace the children of an element with plain text
+ */
+function setText(element, text) {
+    setChildren(element, textNodes(text));
+}
+
+/**
+ * Replace the children of an element with an HTML fragment
+ */
+function setInnerHtml(element, html) {
+    setChildren(element, [...parseDocument(html).children]);
+}
+
+/**
+ * Add an HTML fragment at the end of an element
+ */
+function appendHtml(element, html) {
+    [...parseDocument(html).children].forEach(child => DomUtils.appendChild(element, child));
+}
+
+/**
+ * Move an element (or text node) to the end of another element
+ */
+function appendElement(parent, node) {
+    DomUtils.appendChild(parent, node);
+}
+
+function textNodes(text) {
+    return [...parseDocument(escapeHtml(text)).children];
+}
+
+function setChildren(element, children) {
+    [...element.children].forEach(child => DomUtils.removeElement(child));
+    children.forEach(child => DomUtils.appendChild(element, child));
+}
+
+/**
+ * Replace the first non-empty text node of an element (the label of a button
+ * holding an icon), or add the text before its first child
+ */
+function setLeadingText(element, text) {
+    const textNode = element.children.find(node => DomUtils.isText(node) && node.data.trim());
+    if (textNode) {
+        textNode.data = text;
+    } else if (element.children.length > 0) {
+        textNodes(text).forEach(node => DomUtils.prepend(element.children[0], node));
+    } else {
+        setText(element, text);
+    }
+}
+
+module.exports = {
+    parseHtml,
+    serializeHtml,
+    findElements,
+    findElement,
+    byId,
+    byTag,
+    hasClass,
+    textOf,
+    setText,
+    setInnerHtml,
+    appendHtml,
+    appendElement,
+    setLeadingText
+};
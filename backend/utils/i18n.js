@@ -0,0 +1,115 @@
+/**
+ * Bilingual content helpers (Arabic / French)
+ * Translatable fields are stored as <field>_ar and <field>_fr. Arabic is the
+ * reference language: it is required and used whenever a translation is missing.
+ */
+
+const LANGUAGES = ['ar', 'fr'];
+const DEFAULT_LANGUAGE = 'ar';
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '' ||
+        (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Language asked for with ?lang=, or null when the parameter is absent.
+ * Unsupported languages fall back to Arabic.
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function getRequestedLanguage(req) {
+    if (!req.query.lang) return null;
+    const lang = String(req.query.lang).toLowerCase();
+    return LANGUAGES.includes(lang) ? lang : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Value of a field in a language, falling back to Arabic
+ * @param {Object} row
+ * @param {string} field - base name, e.g. "title"
+ * @param {string} lang
+ */
+function translate(row, field, lang) {
+    const value = row[`${field}_${lang}`];
+    return isEmpty(value) ? row[`${field}_${DEFAULT_LANGUAGE}`] : value;
+}
+
+/**
+ * Fields whose translation is missing in a language
+ * @param {Object} row
+ * @param {string[]} fields
+ * @param {string} lang
+ * @returns {string[]}
+ */
+function missingTranslations(row, fields, lang) {
+    return fields.filter(field =>
+        !isEmpty(row[`${field}_${DEFAULT_LANGUAGE}`]) && isEmpty(row[`${field}_${lang}`])
+    );
+}
+
+/**
+ * Add the fields of one language to a row: each field is returned under its
+ * output name (the base name unless renamed), plus the list of fields that
+ * fell back to Arabic.
+ * @param {Object} row
+ * @param {string[]} fields
+ * @param {string} lang
+ * @param {Object} [outputNames] - { field: name } for fields whose base name is taken
+ * @returns {Object}
+ */
+function localize(row, fields, lang, outputNames = {}) {
+    const localized = { ...row, lang };
+    fields.forEach(field => {
+        localized[outputNames[field] || field] = translate(row, field, lang);
+    });
+    localized.translation_missing = missingTranslations(row, fields, lang);
+    return localized;
+}
+
+/**
+ * Pick the translations present in a request body. A plain <field> is
+ * accepted as the Arabic value for clients written before the bilingual schema.
+ * @param {Object} body
+ * @param {string[]} fields
+ * @returns {Object} { <field>_ar, <field>_fr } for the values that were sent
+ */
+function pickTranslations(body, fields) {
+    const values = {};
+    fields.forEach(field => {
+        LANGUAGES.forEach(lang => {
+            const key = `${field}_${lang}`;
+            if (body[key] !== undefined) values[key] = body[key];
+        });
+        if (values[`${field}_${DEFAULT_LANGUAGE}`] === undefined && body[field] !== undefined) {
+            values[`${field}_${DEFAULT_LANGUAGE}`] = body[field];
+        }
+    });
+    return values;
+}
+
+/**
+ * Keep the original single-language columns (title, content, ...) equal to the
+ * Arabic value, for code and exports that still read them
+ * @param {Object} values - output of pickTranslations()
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+function withLegacyColumns(values, fields) {
+    fields.forEach(field => {
+        const arabic = values[`${field}_${DEFAULT_LANGUAGE}`];
+        if (arabic !== undefined) values[field] = arabic;
+    });
+    return values;
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    getRequestedLanguage,
+    translate,
+    missingTranslations,
+    localize,
+    pickTranslations,
+    withLegacyColumns
+};
@@ -0,0 +1,100 @@
+/**
+ * Outgoing email
+ * The transport is selected by MAIL_TRANSPORT:
+ * - smtp: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * - file: each email is written as an .eml file to MAIL_FILE_DIR (default backend/data/mail/), for development
+ * - console: each email is printed to the server log, for development
+ * Defaults to smtp when SMTP_HOST is set, otherwise to console.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+let transport = null;
+let transportType = null;
+
+function getTransportType() {
+    return process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+}
+
+function createTransport(type) {
+    if (type === 'smtp') {
+        const port = parseInt(process.env.SMTP_PORT) || 587;
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+    }
+    // file and console build the raw message without sending it
+    return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+}
+
+function getTransport() {
+    const type = getTransportType();
+    if (!transport || transportType !== type) {
+        transport = createTransport(type);
+        transportType = type;
+        console.log('Mail transport: ' + type);
+    }
+    return transport;
+}
+
+/**
+ * Sender address of outgoing emails
+ */
+function getFromAddress() {
+    return process.env.MAIL_FROM || process.env.SMTP_USER || 'no-reply@localhost';
+}
+
+/**
+ * Addresses notified of new contact messages (MAIL_NOTIFY_TO, comma-separated)
+ * @returns {string[]}
+ */
+function getNotifyAddresses() {
+    return (process.env.MAIL_NOTIFY_TO || '')
+        .split(',')
+        .map(address => address.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Send an email
+ * @param {Object} mail
+ * @param {string|string[]} mail.to
+ * @param {string} mail.subject
+ * @param {string} mail.text - plain-text body
+ * @param {string} [mail.replyTo]
+ * @returns {Promise<{ messageId: string }>}
+ */
+async function sendMail({ to, subject, text, replyTo }) {
+    const type = getTransportType();
+    const info = await getTransport().sendMail({
+        from: getFromAddress(),
+        to,
+        subject,
+        text,
+        replyTo: replyTo || process.env.MAIL_REPLY_TO || undefined
+    });
+
+    if (type === 'file') {
+        const dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '..', 'data', 'mail');
+        await fs.promises.mkdir(dir, { recursive: true });
+        const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.eml`;
+        await fs.promises.writeFile(path.join(dir, fileName), info.message);
+    } else if (type === 'console') {
+        // The raw message is encoded; print the readable parts instead
+        console.log(`[mail] To: ${[].concat(to).join(', ')}\n[mail] Subject: ${subject}\n${text}\n[mail] ${'-'.repeat(40)}`);
+    }
+
+    return { messageId: info.messageId };
+}
+
+module.exports = {
+    getNotifyAddresses,
+    sendMail
+};
@@ -0,0 +1,134 @@
+/**
+ * Emails about contact messages: notification to the office, acknowledgement
+ * to the sender (in the language of the form) and admin replies
+ */
+
+const { sendMail, getNotifyAddresses } = require('./mailer');
+const { SITE_NAMES } = require('./render');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./i18n');
+
+// Subjects offered by the contact form (frontend/contact.html)
+const SUBJECT_LABELS = {
+    general: { ar: 'استفسار عام', fr: 'Demande générale' },
+    registration: { ar: 'التسجيل والقبول', fr: 'Inscription et admission' },
+    membership: { ar: 'العضوية', fr: 'Adhésion' },
+    housing: { ar: 'السكن', fr: 'Logement' },
+    documents: { ar: 'الوثائق والإجراءات', fr: 'Documents et procédures' },
+    complaint: { ar: 'شكوى', fr: 'Réclamation' },
+    suggestion: { ar: 'اقتراح', fr: 'Suggestion' },
+    other: { ar: 'أخرى', fr: 'Autre' }
+};
+
+// Fixed text only: the sender's address is not verified, so nothing they typed is copied into it
+const ACKNOWLEDGEMENT = {
+    ar: {
+        subject: name => `تم استلام رسالتك - ${name}`,
+        body: subject => [
+            'مرحباً،',
+            '',
+            `شكراً لتواصلك معنا. لقد استلمنا رسالتك بخصوص «${subject}» وسنرد عليك في أقرب وقت.`
+        ]
+    },
+    fr: {
+        subject: name => `Nous avons bien reçu votre message - ${name}`,
+        body: subject => [
+            'Bonjour,',
+            '',
+            `Merci de nous avoir contactés. Nous avons bien reçu votre message concernant « ${subject} » et nous vous répondrons dans les plus brefs délais.`
+        ]
+    }
+};
+
+const QUOTE_HEADER = {
+    ar: (message) => `في ${formatDate(message.created_at)}، كتب ${message.name}:`,
+    fr: (message) => `Le ${formatDate(message.created_at)}, ${message.name} a écrit :`
+};
+
+function formatDate(value) {
+    return new Date(value).toISOString().replace('T', ' ').substring(0, 16);
+}
+
+function messageLanguage(message) {
+    return LANGUAGES.includes(message.lang) ? message.lang : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Label of a contact subject in a language (the raw value for unknown subjects)
+ */
+function subjectLabel(subject, lang) {
+    const labels = SUBJECT_LABELS[subject];
+    return labels ? labels[lang] : subject;
+}
+
+function quote(text) {
+    return String(text).split('\n').map(line => `> ${line}`).join('\n');
+}
+
+/**
+ * Tell the addresses in MAIL_NOTIFY_TO that a message arrived
+ * @param {Object} message - messages row
+ * @param {string|null} adminUrl - link to the message in the admin panel (left out when null)
+ */
+async function notifyNewMessage(message, adminUrl) {
+    const to = getNotifyAddresses();
+    if (to.length === 0) return;
+
+    await sendMail({
+        to,
+        replyTo: message.email,
+        subject: `[${SITE_NAMES.ar}] ${subjectLabel(message.subject, 'ar')} - ${message.name}`,
+        text: [
+            `Name: ${message.name}`,
+            `Email: ${message.email}`,
+            message.phone ? `Phone: ${message.phone}` : null,
+            `Subject: ${subjectLabel(message.subject, 'ar')} / ${subjectLabel(message.subject, 'fr')}`,
+            `Language: ${messageLanguage(message)}`,
+            '',
+            message.message,
+            adminUrl ? '' : null,
+            adminUrl
+        ].filter(line => line !== null).join('\n')
+    });
+}
+
+/**
+ * Confirm to the sender that their message was received, in their language
+ * (a fixed text naming only the subject label)
+ * @param {Object} message - messages row
+ */
+async function acknowledgeMessage(message) {
+    const lang = messageLanguage(message);
+    const template = ACKNOWLEDGEMENT[lang];
+    // The subject field is free text for API callers; only known labels are echoed
+    const subject = SUBJECT_LABELS[message.subject] ? subjectLabel(message.subject, lang) : SUBJECT_LABELS.other[lang];
+
+    await sendMail({
+        to: message.email,
+        subject: template.subject(SITE_NAMES[lang]),
+        text: [...template.body(subject), '', `— ${SITE_NAMES[lang]}`].join('\n')
+    });
+}
+
+/**
+ * Send an admin reply to the sender, quoting their message
+ * @param {Object} message - messages row
+ * @param {string} body - reply text
+ * @returns {Promise<{ messageId: string }>}
+ */
+async function sendReply(message, body) {
+    const lang = messageLanguage(message);
+
+    return sendMail({
+        to: message.email,
+        subject: `Re: ${subjectLabel(message.subject, lang)} - ${SITE_NAMES[lang]}`,
+        text: [body, '', `— ${SITE_NAMES[lang]}`, '', QUOTE_HEADER[lang](message), quote(message.message)].join('\n')
+    });
+}
+
+module.exports = {
+    SUBJECT_LABELS,
+    subjectLabel,
+    notifyNewMessage,
+    acknowledgeMessage,
+    sendReply
+};
@@ -0,0 +1,43 @@
+/**
+ * Password policy for admin accounts
+ */
+
+const MIN_LENGTH = 10;
+// bcrypt ignores everything after 72 bytes
+const MAX_BYTES = 72;
+
+// A password must mix at least this many character classes (lowercase, uppercase, digit, other)
+const MIN_CHARACTER_CLASSES = 3;
+
+/**
+ * Check a new password against the policy
+ * @param {string} password
+ * @param {string} [username] - the password may not contain it
+ * @returns {string|null} error message, or null if the password is acceptable
+ */
+function validatePassword(password, username) {
+    if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+        return `Password must be at least ${MIN_LENGTH} characters`;
+    }
+
+    if (Buffer.byteLength(password, 'utf8') > MAX_BYTES) {
+        return `Password must be at most ${MAX_BYTES} bytes`;
+    }
+
+    const classes = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/]
+        .filter(pattern => pattern.test(password)).length;
+    if (classes < MIN_CHARACTER_CLASSES) {
+        return 'Password must mix at least three of: lowercase letters, uppercase letters, digits, symbols';
+    }
+
+    if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+        return 'Password must not contain the username';
+    }
+
+    return null;
+}
+
+module.exports = {
+    MIN_LENGTH,
+    validatePassword
+};
@@ -0,0 +1,102 @@
+/**
+ * Server-side rendering helpers for the public pages (HTML templates in backend/views)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LANGUAGE } = require('./i18n');
+
+const VIEWS_DIR = path.join(__dirname, '..', 'views');
+const templates = {};
+
+// Static pages served from frontend/<page>.html at /<page> (the home page is /)
+const PUBLIC_PAGES = ['about', 'news', 'guide', 'programs', 'services', 'contact', 'search'];
+
+// page_content sections holding the <title> and meta description of a page
+const META_SECTIONS = ['meta_title', 'meta_description'];
+
+// Names shared by the rendered pages and the feeds
+const SITE_NAMES = {
+    ar: 'اتحاد الطلبة الموريتانيين بالجزائر',
+    fr: 'Union des Étudiants Mauritaniens en Algérie'
+};
+
+const CATEGORY_LABELS = {
+    ar: { news: 'أخبار', event: 'فعاليات', announcement: 'إعلانات' },
+    fr: { news: 'Actualités', event: 'Événements', announcement: 'Annonces' }
+};
+
+function escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Fill a template: {{name}} is HTML-escaped, {{{name}}} is inserted as is
+ * @param {string} name - file in backend/views
+ * @param {Object} values
+ * @returns {string}
+ */
+function renderTemplate(name, values) {
+    if (!templates[name]) {
+        templates[name] = fs.readFileSync(path.join(VIEWS_DIR, name), 'utf8');
+    }
+    return templates[name].replace(/\{\{\{(\w+)\}\}\}|\{\{(\w+)\}\}/g, (match, raw, escaped) =>
+        raw ? String(values[raw] === undefined || values[raw] === null ? '' : values[raw]) : escapeHtml(values[escaped])
+    );
+}
+
+/**
+ * SITE_URL without a trailing slash, or null when it is not set
+ */
+function configuredSiteUrl() {
+    return process.env.SITE_URL ? process.env.SITE_URL.replace(/\/+$/, '') : null;
+}
+
+/**
+ * Public base URL of the site: SITE_URL when set (required in production), else the request host.
+ * The Host header is chosen by the client, so links sent by email use configuredSiteUrl() only.
+ */
+function siteUrl(req) {
+    return configuredSiteUrl() || `${req.protocol}://${req.get('host')}`.replace(/\/+$/, '');
+}
+
+/**
+ * Absolute URL for a path or an already absolute URL
+ */
+function absoluteUrl(req, url) {
+    if (!url) return '';
+    return /^https?:\/\//i.test(url) ? url : `${siteUrl(req)}${url.startsWith('/') ? '' : '/'}${url}`;
+}
+
+/**
+ * A site path in a language (Arabic pages have no ?lang=)
+ */
+function localizedPath(pagePath, lang = DEFAULT_LANGUAGE) {
+    return lang === DEFAULT_LANGUAGE ? pagePath : `${pagePath}?lang=${lang}`;
+}
+
+/**
+ * Path of a news article page in a language
+ */
+function articlePath(news, lang = DEFAULT_LANGUAGE) {
+    return localizedPath(`/news/${encodeURIComponent(news.slug)}`, lang);
+}
+
+module.exports = {
+    PUBLIC_PAGES,
+    META_SECTIONS,
+    SITE_NAMES,
+    CATEGORY_LABELS,
+    escapeHtml,
+    renderTemplate,
+    configuredSiteUrl,
+    siteUrl,
+    absoluteUrl,
+    localizedPath,
+    articlePath
+};
@@ -0,0 +1,88 @@
+/**
+ * Rich text for news bodies: Markdown (with a restricted HTML subset) rendered
+ * to sanitized HTML on save, plus a plain-text excerpt for cards and meta tags
+ */
+
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { stripHtml } = require('./search');
+
+const EXCERPT_LENGTH = 160;
+
+// The article title is the page <h1>, so body headings start at <h2>
+const SANITIZE_OPTIONS = {
+    allowedTags: [
+        'p', 'br', 'hr', 'h2', 'h3', 'h4', 'strong', 'b', 'em', 'i', 'u', 's', 'del',
+        'a', 'ul', 'ol', 'li', 'blockquote', 'code', 'pre'
+    ],
+    allowedAttributes: {
+        a: ['href', 'title', 'target', 'rel']
+    },
+    allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+    allowProtocolRelative: false,
+    transformTags: {
+        h1: 'h2',
+        h5: 'h4',
+        h6: 'h4',
+        // External links open in a new tab without giving it access to the page
+        a: (tagName, attribs) => {
+            const { target, rel, ...rest } = attribs;
+            const external = /^https?:\/\//i.test(attribs.href || '');
+            return {
+                tagName,
+                attribs: external ? { ...rest, target: '_blank', rel: 'noopener noreferrer' } : rest
+            };
+        }
+    }
+};
+
+/**
+ * Markdown (or HTML from the allowed subset) as sanitized HTML.
+ * Single newlines become <br>, as in the plain-text bodies written before Markdown.
+ * @param {string} source
+ * @returns {string}
+ */
+function renderRichText(source) {
+    if (!source) return '';
+    const html = marked.parse(String(source), { gfm: true, breaks: true });
+    return sanitizeHtml(html, SANITIZE_OPTIONS).trim();
+}
+
+/**
+ * Plain text of some HTML, cut at a word boundary
+ * @param {string} html
+ * @param {number} [length]
+ * @returns {string}
+ */
+function excerpt(html, length = EXCERPT_LENGTH) {
+    const plain = stripHtml(html);
+    if (plain.length <= length) return plain;
+    const cut = plain.lastIndexOf(' ', length);
+    return `${plain.slice(0, cut > 0 ? cut : length)}…`;
+}
+
+/**
+ * Rendered HTML and excerpt columns (<field>_html_<lang>, excerpt_<lang>) for the
+ * <field>_<lang> values present in `values`; an empty or null value clears them
+ * @param {Object} values - e.g. output of pickTranslations()
+ * @param {string} [field]
+ * @returns {Object}
+ */
+function richTextColumns(values, field = 'content') {
+    const columns = {};
+    Object.keys(values).forEach(key => {
+        const match = key.match(new RegExp(`^${field}_(ar|fr)$`));
+        if (!match || values[key] === undefined) return;
+        const html = renderRichText(values[key]);
+        columns[`${field}_html_${match[1]}`] = html || null;
+        columns[`excerpt_${match[1]}`] = html ? excerpt(html) : null;
+    });
+    return columns;
+}
+
+module.exports = {
+    EXCERPT_LENGTH,
+    renderRichText,
+    excerpt,
+    richTextColumns
+};
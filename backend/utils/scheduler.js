@@ -0,0 +1,119 @@
+/**
+ * News Scheduler
+ * Publishes news whose publish_at has come and unpublishes news whose expire_at has passed.
+ * Runs inside the server process every NEWS_SCHEDULER_INTERVAL_MS (default one minute).
+ */
+
+const { getClient } = require('../models/database');
+const { recordAudit } = require('./audit');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+let timer = null;
+let running = false;
+
+/**
+ * Set `published` on each item and record the change in the audit log
+ */
+async function flipPublished(items, published, action) {
+    const supabase = getClient();
+    let changed = 0;
+
+    for (const item of items) {
+        // Guard on the current value so a concurrent admin edit is not overwritten
+        const updates = { published, updated_at: new Date().toISOString() };
+        if (published && !item.first_published_at) updates.first_published_at = updates.updated_at;
+
+        const { data: updated, error } = await supabase
+            .from('news')
+            .update(updates)
+            .eq('id', item.id)
+            .eq('published', !published)
+            .select('id');
+
+        if (error) throw error;
+        if (updated.length === 0) continue;
+
+        changed++;
+        console.log(`News scheduler: ${action} news #${item.id} (${item.title})`);
+        await recordAudit(null, {
+            action,
+            entityType: 'news',
+            entityId: item.id,
+            before: { published: !published },
+            after: { published },
+            summary: item.title
+        });
+    }
+
+    return changed;
+}
+
+/**
+ * One scheduler pass
+ * @param {Date} [now]
+ * @returns {Promise<{ published: number, expired: number }>}
+ */
+async function runNewsSchedule(now = new Date()) {
+    const supabase = getClient();
+    const nowIso = now.toISOString();
+
+    const { data: due, error: dueErr } = await supabase
+        .from('news')
+        .select('id, title, first_published_at')
+        .eq('published', false)
+        .lte('publish_at', nowIso)
+        .or(`expire_at.is.null,expire_at.gt.${nowIso}`);
+
+    if (dueErr) throw dueErr;
+
+    const { data: expired, error: expiredErr } = await supabase
+        .from('news')
+        .select('id, title')
+        .eq('published', true)
+        .lte('expire_at', nowIso);
+
+    if (expiredErr) throw expiredErr;
+
+    return {
+        published: await flipPublished(due, true, 'scheduled_publish'),
+        expired: await flipPublished(expired, false, 'scheduled_expire')
+    };
+}
+
+async function tick() {
+    // Skip a run while the previous one is still going
+    if (running) return;
+    running = true;
+    try {
+        await runNewsSchedule();
+    } catch (error) {
+        console.error('News scheduler error:', error.message);
+    } finally {
+        running = false;
+    }
+}
+
+/**
+ * Start the scheduler (once the database is ready)
+ */
+function startNewsScheduler() {
+    if (timer) return;
+    const interval = parseInt(process.env.NEWS_SCHEDULER_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+    timer = setInterval(tick, interval);
+    // Do not keep the process alive just for the scheduler
+    timer.unref();
+    tick();
+    console.log(`News scheduler started (every ${Math.round(interval / 1000)}s)`);
+}
+
+function stopNewsScheduler() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    runNewsSchedule,
+    startNewsScheduler,
+    stopNewsScheduler
+};
@@ -0,0 +1,194 @@
+/**
+ * Text search helpers: Arabic / French normalization, scoring and snippets
+ */
+
+// Letters that normalize to another letter (besides the marks removed by NFD)
+const LETTER_FOLDS = {
+    'ٱ': 'ا',
+    'ى': 'ي',
+    'ة': 'ه',
+    'œ': 'oe',
+    'æ': 'ae',
+    'ß': 'ss'
+};
+
+// Combining marks: French accents, Arabic harakat, hamza/madda above or below, dagger alef
+const MARKS = /[\u0300-\u036f\u064b-\u065f\u0670]/g;
+const TATWEEL = /\u0640/g;
+const WORD_CHAR = /[\p{L}\p{N}]/u;
+
+const SNIPPET_LENGTH = 160;
+
+/**
+ * Normalize a single character; may return '' (marks) or several characters (ligatures)
+ */
+function normalizeChar(char) {
+    const folded = char.toLowerCase().normalize('NFD').replace(MARKS, '').replace(TATWEEL, '');
+    return folded.split('').map(c => LETTER_FOLDS[c] || c).join('');
+}
+
+/**
+ * Normalize text and keep, for each normalized character, its index in the original text.
+ * Anything that is not a letter or digit becomes a single space.
+ * @param {string} text
+ * @returns {{ text: string, map: number[] }}
+ */
+function normalizeWithMap(text) {
+    let normalized = '';
+    const map = [];
+    const chars = Array.from(text || '');
+    let offset = 0;
+
+    chars.forEach(char => {
+        const folded = normalizeChar(char);
+        for (const c of folded) {
+            if (WORD_CHAR.test(c)) {
+                normalized += c;
+                map.push(offset);
+            } else if (normalized && !normalized.endsWith(' ')) {
+                normalized += ' ';
+                map.push(offset);
+            }
+        }
+        offset += char.length;
+    });
+
+    return { text: normalized.trimEnd(), map };
+}
+
+/**
+ * Normalize text for matching: lowercase, no diacritics, Arabic letter variants folded
+ * (أ إ آ ٱ → ا, ى → ي, ة → ه, ؤ → و, ئ → ي), punctuation collapsed to spaces
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return normalizeWithMap(text).text;
+}
+
+/**
+ * Split a query into normalized terms
+ * @param {string} query
+ * @returns {string[]}
+ */
+function tokenize(query) {
+    return normalizeText(query).split(' ').filter(Boolean);
+}
+
+/**
+ * Strip HTML tags and decode the few entities used in page content
+ */
+function stripHtml(html) {
+    return String(html || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function countOccurrences(text, term) {
+    let count = 0;
+    let index = text.indexOf(term);
+    while (index !== -1) {
+        count++;
+        index = text.indexOf(term, index + term.length);
+    }
+    return count;
+}
+
+// A match right after the Arabic article ("ال") also starts a word
+function startsWord(text, index) {
+    if (index === 0 || text[index - 1] === ' ') return true;
+    return index >= 2 && text.slice(index - 2, index) === 'ال' && (index === 2 || text[index - 3] === ' ');
+}
+
+/**
+ * Score a document against the query terms. Every term must appear in at least one field.
+ * @param {Array<{ text: string, weight: number }>} fields - text already normalized
+ * @param {string[]} terms
+ * @param {string} phrase - the whole normalized query
+ * @returns {number} 0 when the document does not match
+ */
+function scoreDocument(fields, terms, phrase) {
+    let score = 0;
+
+    for (const term of terms) {
+        let termScore = 0;
+        fields.forEach(({ text, weight }) => {
+            const occurrences = countOccurrences(text, term);
+            if (occurrences === 0) return;
+            // Repeated words count, but with diminishing returns
+            termScore += weight * (1 + Math.log(occurrences));
+            if (startsWord(text, text.indexOf(term))) termScore += weight * 0.5;
+        });
+        if (termScore === 0) return 0;
+        score += termScore;
+    }
+
+    if (terms.length > 1) {
+        fields.forEach(({ text, weight }) => {
+            if (text.includes(phrase)) score += weight * 2;
+        });
+    }
+
+    return Math.round(score * 100) / 100;
+}
+
+/**
+ * Excerpt of the original text around the first match, with the ranges of the
+ * matched terms inside the excerpt (to be highlighted by the client)
+ * @param {string} text - original plain text
+ * @param {string[]} terms - normalized terms
+ * @returns {{ snippet: string, highlights: Array<[number, number]> }}
+ */
+function buildSnippet(text, terms) {
+    const { text: normalized, map } = normalizeWithMap(text);
+
+    const matches = [];
+    terms.forEach(term => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+            const start = map[index];
+            const end = map[index + term.length - 1] + 1;
+            matches.push([start, end]);
+            index = normalized.indexOf(term, index + term.length);
+        }
+    });
+    matches.sort((a, b) => a[0] - b[0]);
+
+    const first = matches.length ? matches[0][0] : 0;
+    let start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 3));
+    let end = Math.min(text.length, start + SNIPPET_LENGTH);
+    start = Math.max(0, Math.min(start, end - SNIPPET_LENGTH));
+
+    // Do not cut words in half
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < first) start = space + 1;
+    }
+    if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        if (space > start) end = space;
+    }
+
+    const prefix = start > 0 ? '… ' : '';
+    const suffix = end < text.length ? ' …' : '';
+    const highlights = matches
+        .filter(([s, e]) => s >= start && e <= end)
+        .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+
+    return { snippet: prefix + text.slice(start, end) + suffix, highlights };
+}
+
+module.exports = {
+    normalizeText,
+    tokenize,
+    stripHtml,
+    scoreDocument,
+    buildSnippet
+};
@@ -0,0 +1,87 @@
+/**
+ * Spam scoring for contact form messages
+ * Each heuristic adds points; a message at or above SPAM_THRESHOLD goes to the spam folder
+ */
+
+const crypto = require('crypto');
+
+const SPAM_THRESHOLD = 5;
+
+// A person needs at least this long to fill in the contact form
+const MIN_FILL_TIME_MS = 3000;
+
+// How far back an identical message body counts as a duplicate
+const DUPLICATE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const LINK_PATTERN = /(https?:\/\/|www\.)[^\s]+/gi;
+const MARKUP_LINK_PATTERN = /\[url=|<a\s+href=/i;
+
+function countLinks(text) {
+    return (String(text || '').match(LINK_PATTERN) || []).length;
+}
+
+/**
+ * Hash of a message body that ignores case and spacing, to find resent copies
+ */
+function hashBody(text) {
+    const normalized = String(text || '').toLowerCase().replace(/\s+/g, ' ').trim();
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+/**
+ * Score a contact message
+ * @param {Object} input
+ * @param {string} input.name
+ * @param {string} input.subject
+ * @param {string} input.message
+ * @param {string} [input.honeypot] - value of the hidden field only bots fill in
+ * @param {number|null} input.elapsedMs - time between showing and submitting the form (null when not sent)
+ * @param {number} input.duplicates - identical bodies received within DUPLICATE_WINDOW_MS
+ * @returns {{ score: number, reasons: string[], isSpam: boolean }}
+ */
+function scoreMessage({ name, subject, message, honeypot, elapsedMs, duplicates }) {
+    let score = 0;
+    const reasons = [];
+    const add = (points, reason) => {
+        score += points;
+        reasons.push(reason);
+    };
+
+    if (honeypot && String(honeypot).trim()) {
+        add(10, 'honeypot');
+    }
+
+    if (elapsedMs === null || elapsedMs === undefined || !Number.isFinite(elapsedMs)) {
+        add(2, 'no_timing');
+    } else if (elapsedMs < MIN_FILL_TIME_MS) {
+        add(5, 'too_fast');
+    }
+
+    const links = countLinks(message);
+    if (links > 5) {
+        add(5, 'many_links');
+    } else if (links > 2) {
+        add(3, 'links');
+    }
+
+    if (countLinks(name) > 0 || countLinks(subject) > 0) {
+        add(3, 'link_in_header');
+    }
+
+    if (MARKUP_LINK_PATTERN.test(message)) {
+        add(3, 'markup_links');
+    }
+
+    if (duplicates > 0) {
+        add(4, 'duplicate');
+    }
+
+    return { score, reasons, isSpam: score >= SPAM_THRESHOLD };
+}
+
+module.exports = {
+    SPAM_THRESHOLD,
+    DUPLICATE_WINDOW_MS,
+    hashBody,
+    scoreMessage
+};
@@ -0,0 +1,69 @@
+/**
+ * Supabase Storage helpers (bucket: "uploads")
+ */
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Documents attached to news posts (PDF forms, lists of accepted students...), by extension
+const DOCUMENT_TYPES = {
+    '.pdf': ['application/pdf'],
+    '.doc': ['application/msword'],
+    '.docx': ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    '.xls': ['application/vnd.ms-excel'],
+    '.xlsx': ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+    '.odt': ['application/vnd.oasis.opendocument.text'],
+    '.ods': ['application/vnd.oasis.opendocument.spreadsheet'],
+    '.txt': ['text/plain'],
+    '.csv': ['text/csv', 'application/vnd.ms-excel']
+};
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Settings of the "uploads" bucket, applied at startup and by the storage repair endpoint
+const BUCKET_OPTIONS = {
+    public: true,
+    fileSizeLimit: MAX_DOCUMENT_SIZE,
+    allowedMimeTypes: [...new Set([...IMAGE_MIME_TYPES, ...Object.values(DOCUMENT_TYPES).flat()])]
+};
+
+/**
+ * Extract the storage path from a Supabase public URL or legacy relative path.
+ * Returns the path inside the "uploads" bucket, e.g. "hero/12345.jpg"
+ */
+function extractStoragePath(url) {
+    if (!url) return null;
+
+    // Supabase public URL
+    const supabaseMarker = '/storage/v1/object/public/uploads/';
+    const idx = url.indexOf(supabaseMarker);
+    if (idx !== -1) {
+        return url.substring(idx + supabaseMarker.length).split('?')[0];
+    }
+
+    // Legacy relative path
+    if (url.startsWith('/assets/uploads/')) {
+        return url.replace('/assets/uploads/', '');
+    }
+
+    return null;
+}
+
+/**
+ * Storage paths of the uploaded files among some URLs (external links are skipped)
+ * @param {string[]} urls
+ * @returns {string[]}
+ */
+function storagePaths(urls) {
+    return urls.map(extractStoragePath).filter(Boolean);
+}
+
+module.exports = {
+    IMAGE_MIME_TYPES,
+    DOCUMENT_TYPES,
+    MAX_IMAGE_SIZE,
+    MAX_DOCUMENT_SIZE,
+    BUCKET_OPTIONS,
+    extractStoragePath,
+    storagePaths
+};
@@ -0,0 +1,131 @@
+/**
+ * TOTP (RFC 6238) helpers for admin two-factor authentication
+ * Compatible with Google Authenticator, Authy, Microsoft Authenticator, etc.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = input.toUpperCase().replace(/[^A-Z2-7]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of clean) {
+        value = (value << 5) | BASE32_ALPHABET.indexOf(char);
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new random secret (base32, 160 bits)
+ * @returns {string}
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Compute the code for a given time step
+ * @param {string} secret - base32 secret
+ * @param {number} step - Unix time / 30
+ * @returns {string}
+ */
+function generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+        (hmac[offset + 1] << 16) |
+        (hmac[offset + 2] << 8) |
+        hmac[offset + 3];
+
+    return String(binary % Math.pow(10, DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Current time step
+ * @returns {number}
+ */
+function currentStep() {
+    return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+/**
+ * Verify a code, allowing one step of clock drift either way
+ * @param {string} secret - base32 secret
+ * @param {string} code - code typed by the user
+ * @param {number} [lastUsedStep] - reject steps at or before this one (replay protection)
+ * @returns {number|null} the matching time step, or null if the code is invalid
+ */
+function verifyCode(secret, code, lastUsedStep) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const now = currentStep();
+    for (let step = now - 1; step <= now + 1; step++) {
+        if (lastUsedStep && step <= lastUsedStep) continue;
+        const expected = generateCode(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return step;
+        }
+    }
+    return null;
+}
+
+/**
+ * Build the otpauth:// URL encoded in the enrollment QR code
+ * @param {string} secret
+ * @param {string} accountName
+ * @param {string} issuer
+ * @returns {string}
+ */
+function buildOtpauthUrl(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    currentStep,
+    verifyCode,
+    buildOtpauthUrl
+};
@@ -88,6 +88,8 @@
         }
         if (currentPage === 'news') loadNews();
         if (currentPage === 'programs') loadSpecialties();
+        if (currentPage === 'search') runSearch();
+        if (currentPage === 'article') syncArticleLanguage();
     };
 
     /** Get localized field from an object: t(obj, 'title') returns obj.title_ar or obj.title_fr */
@@ -104,10 +106,13 @@
             read_more: '\u0627\u0642\u0631\u0623 \u0627\u0644\u0645\u0632\u064a\u062f',
             loading: '\u062c\u0627\u0631\u064a \u0627\u0644\u062a\u062d\u0645\u064a\u0644...',
             no_more: '\u0644\u0627 \u064a\u0648\u062c\u062f \u0627\u0644\u0645\u0632\u064a\u062f',
+            load_more: '\u062a\u062d\u0645\u064a\u0644 \u0627\u0644\u0645\u0632\u064a\u062f',
+            no_news: '\u0644\u0627 \u062a\u0648\u062c\u062f \u0623\u062e\u0628\u0627\u0631',
             sending: '\u062c\u0627\u0631\u064a \u0627\u0644\u0625\u0631\u0633\u0627\u0644...',
             field_required: '\u0647\u0630\u0627 \u0627\u0644\u062d\u0642\u0644 \u0645\u0637\u0644\u0648\u0628',
             invalid_email: '\u0627\u0644\u0628\u0631\u064a\u062f \u0627\u0644\u0625\u0644\u0643\u062a\u0631\u0648\u0646\u064a \u063a\u064a\u0631 \u0635\u0627\u0644\u062d',
             send_error: '\u062d\u062f\u062b \u062e\u0637\u0623 \u0641\u064a \u0627\u0644\u0627\u062a\u0635\u0627\u0644 \u0628\u0627\u0644\u062e\u0627\u062f\u0645',
+            too_many_messages: '\u0644\u0642\u062f \u0623\u0631\u0633\u0644\u062a \u0631\u0633\u0627\u0626\u0644 \u0643\u062b\u064a\u0631\u0629\u060c \u064a\u0631\u062c\u0649 \u0627\u0644\u0645\u062d\u0627\u0648\u0644\u0629 \u0644\u0627\u062d\u0642\u0627\u064b',
             cat_news: '\u0623\u062e\u0628\u0627\u0631',
             cat_event: '\u0641\u0639\u0627\u0644\u064a\u0627\u062a',
             cat_announcement: '\u0625\u0639\u0644\u0627\u0646\u0627\u062a',
@@ -115,16 +120,27 @@
             student_guide: '\u062f\u0644\u064a\u0644 \u0627\u0644\u0637\u0627\u0644\u0628',
             study_duration: '\u0645\u062f\u0629 \u0627\u0644\u062f\u0631\u0627\u0633\u0629',
             watch_video: '\u25b6\ufe0f \u0634\u0627\u0647\u062f \u0641\u064a\u062f\u064a\u0648 \u062a\u0639\u0631\u064a\u0641\u064a',
-            slide_label: '\u0627\u0644\u0634\u0631\u064a\u062d\u0629'
+            slide_label: '\u0627\u0644\u0634\u0631\u064a\u062d\u0629',
+            search_results: '\u0646\u062a\u0627\u0626\u062c \u0627\u0644\u0628\u062d\u062b',
+            search_none: '\u0644\u0627 \u062a\u0648\u062c\u062f \u0646\u062a\u0627\u0626\u062c',
+            type_news: '\u062e\u0628\u0631',
+            type_page: '\u0635\u0641\u062d\u0629',
+            type_specialty: '\u062a\u062e\u0635\u0635',
+            close: '\u0625\u063a\u0644\u0627\u0642',
+            previous_image: '\u0627\u0644\u0635\u0648\u0631\u0629 \u0627\u0644\u0633\u0627\u0628\u0642\u0629',
+            next_image: '\u0627\u0644\u0635\u0648\u0631\u0629 \u0627\u0644\u062a\u0627\u0644\u064a\u0629'
         },
         fr: {
             read_more: 'Lire la suite',
             loading: 'Chargement...',
             no_more: 'Plus de r\u00e9sultats',
+            load_more: 'Charger plus',
+            no_news: 'Aucune actualit\u00e9',
             sending: 'Envoi en cours...',
             field_required: 'Ce champ est requis',
             invalid_email: 'Email invalide',
             send_error: 'Erreur de connexion au serveur',
+            too_many_messages: 'Trop de messages envoy\u00e9s, veuillez r\u00e9essayer plus tard',
             cat_news: 'Actualit\u00e9s',
             cat_event: '\u00c9v\u00e9nements',
             cat_announcement: 'Annonces',
@@ -132,7 +148,15 @@
             student_guide: 'Guide \u00e9tudiant',
             study_duration: 'Dur\u00e9e des \u00e9tudes',
             watch_video: '\u25b6\ufe0f Voir la vid\u00e9o',
-            slide_label: 'Diapositive'
+            slide_label: 'Diapositive',
+            search_results: 'R\u00e9sultats',
+            search_none: 'Aucun r\u00e9sultat',
+            type_news: 'Actualit\u00e9',
+            type_page: 'Page',
+            type_specialty: 'Sp\u00e9cialit\u00e9',
+            close: 'Fermer',
+            previous_image: 'Photo pr\u00e9c\u00e9dente',
+            next_image: 'Photo suivante'
         }
     };
 
@@ -210,29 +234,54 @@
     // News (bilingual)
     // ========================================
 
-    const loadNews = async (limit = 10, category = 'all') => {
+    // Paging state of the news page: the category filter and load more both go through the API
+    const newsState = { category: 'all', page: 1, pageSize: 9, total: 0, fromApi: false };
+
+    /**
+     * Load news from the API. Returns false when the API is not available,
+     * so the static news in the HTML stays in place.
+     * @param {boolean} [append] - add the next page to the grid instead of replacing it
+     */
+    const loadNews = async (append = false) => {
         const newsGrid = document.getElementById('newsGrid');
         const latestNews = document.getElementById('latestNews');
-        if (!newsGrid && !latestNews) return;
+        if (!newsGrid && !latestNews) return false;
+
+        const page = append ? newsState.page + 1 : 1;
+        const pageSize = newsGrid ? newsState.pageSize : 3;
 
         try {
-            let url = `${API_BASE}/news?limit=${limit}`;
-            if (category && category !== 'all') url += `&category=${category}`;
+            let url = `${API_BASE}/news?page=${page}&pageSize=${pageSize}`;
+            if (newsGrid && newsState.category !== 'all') url += `&category=${encodeURIComponent(newsState.category)}`;
 
             const response = await fetch(url);
             const data = await response.json();
+            if (!data.success) return false;
 
-            if (data.success && data.data.length > 0) {
-                if (newsGrid) renderNewsGrid(newsGrid, data.data);
-                if (latestNews) renderLatestNews(latestNews, data.data.slice(0, 3));
+            // Keep the static news until the site has published news of its own
+            if (data.pagination.total === 0 && newsState.category === 'all') return false;
+
+            if (newsGrid) {
+                newsState.page = page;
+                newsState.total = data.pagination.total;
+                newsState.fromApi = true;
+                renderNewsGrid(newsGrid, data.data, append);
+                updateLoadMore();
             }
+            if (latestNews) renderLatestNews(latestNews, data.data);
+            return true;
         } catch (error) {
             console.log('Using static news (API not available)');
+            return false;
         }
     };
 
-    const renderNewsGrid = (container, newsItems) => {
-        container.innerHTML = newsItems.map(news => `
+    const renderNewsGrid = (container, newsItems, append = false) => {
+        if (!append && newsItems.length === 0) {
+            container.innerHTML = `<p class="text-center">${ui('no_news')}</p>`;
+            return;
+        }
+        const html = newsItems.map(news => `
             <article class="card" data-category="${news.category}">
                 ${news.image_url ? `
                     <div class="card__image">
@@ -241,8 +290,8 @@
                 ` : ''}
                 <div class="card__body">
                     <span class="tag tag--${getCategoryClass(news.category)}">${getCategoryLabel(news.category)}</span>
-                    <h3 class="card__title">${escapeHtml(t(news, 'title'))}</h3>
-                    <p class="card__text">${escapeHtml(t(news, 'content').substring(0, 150))}...</p>
+                    <h3 class="card__title"><a href="${newsUrl(news)}">${escapeHtml(t(news, 'title'))}</a></h3>
+                    <p class="card__text">${escapeHtml(newsExcerpt(news, 150))}</p>
                     <div class="card__meta">
                         <span>${formatDate(news.created_at)}</span>
                         ${news.location ? `<span>${escapeHtml(news.location)}</span>` : ''}
@@ -250,6 +299,12 @@
                 </div>
             </article>
         `).join('');
+
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
     };
 
     const renderLatestNews = (container, newsItems) => {
@@ -267,10 +322,10 @@
                     </div>
                     <span class="news-card__tag news-card__tag--${getCategoryClass(news.category)}">${getCategoryLabel(news.category)}</span>
                     <h3 class="news-card__title">${escapeHtml(t(news, 'title'))}</h3>
-                    <p class="news-card__text">${escapeHtml(t(news, 'content').substring(0, 120))}...</p>
+                    <p class="news-card__text">${escapeHtml(newsExcerpt(news, 120))}</p>
                     <div class="news-card__footer">
                         <span class="news-card__meta">${news.location ? escapeHtml(news.location) : ''}</span>
-                        <a href="news.html" class="news-card__link">
+                        <a href="${newsUrl(news)}" class="news-card__link">
                             ${ui('read_more')}
                             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="19" y1="12" x2="5" y2="12"/><polyline points="12 19 5 12 12 5"/></svg>
                         </a>
@@ -282,6 +337,49 @@
         if (typeof AOS !== 'undefined') AOS.refresh();
     };
 
+    /**
+     * Plain-text excerpt of a news item, stored by the server when the body is saved;
+     * items saved before excerpts existed are cut from their content
+     */
+    const newsExcerpt = (news, length) => {
+        const text = t(news, 'excerpt') || t(news, 'content');
+        if (text.length <= length) return text;
+        const cut = text.lastIndexOf(' ', length);
+        return `${text.substring(0, cut > 0 ? cut : length)}…`;
+    };
+
+    /** Article page of a news item (list page for items saved before slugs existed) */
+    const newsUrl = (news) => {
+        if (!news.slug) return 'news.html';
+        return `/news/${encodeURIComponent(news.slug)}${getLang() === DEFAULT_LANG ? '' : `?lang=${getLang()}`}`;
+    };
+
+    /**
+     * Article pages are rendered by the server in one language (?lang=). On page load
+     * a link with ?lang= sets the visitor's language; otherwise the page is reloaded
+     * in the visitor's language.
+     * @param {boolean} [adoptUrlLanguage]
+     * @returns {boolean} true when the page is being reloaded
+     */
+    const syncArticleLanguage = (adoptUrlLanguage = false) => {
+        const rendered = document.body.dataset.renderedLang;
+        const url = new URL(window.location.href);
+
+        if (adoptUrlLanguage && url.searchParams.has('lang')) {
+            localStorage.setItem('lang', rendered);
+            return false;
+        }
+        if (getLang() === rendered) return false;
+
+        if (getLang() === DEFAULT_LANG) {
+            url.searchParams.delete('lang');
+        } else {
+            url.searchParams.set('lang', getLang());
+        }
+        window.location.replace(url.toString());
+        return true;
+    };
+
     const getCategoryLabel = (category) => {
         const key = 'cat_' + category;
         return ui(key) || category;
@@ -369,10 +467,15 @@
         if (!filterContainer || !newsGrid) return;
 
         filterContainer.querySelectorAll('.filter-tab').forEach(tab => {
-            tab.addEventListener('click', () => {
+            tab.addEventListener('click', async () => {
                 const filter = tab.dataset.filter;
                 filterContainer.querySelectorAll('.filter-tab').forEach(t => t.classList.remove('filter-tab--active'));
                 tab.classList.add('filter-tab--active');
+
+                newsState.category = filter;
+                if (await loadNews()) return;
+
+                // Static news: filter the cards already on the page
                 newsGrid.querySelectorAll('.card').forEach(item => {
                     item.style.display = (filter === 'all' || item.dataset.category === filter) ? '' : 'none';
                 });
@@ -388,6 +491,9 @@
         const contactSuccess = document.getElementById('contactSuccess');
         if (!contactForm) return;
 
+        // Sent with the message: bots submit faster than a person can type
+        let formShownAt = Date.now();
+
         contactForm.addEventListener('submit', async (e) => {
             e.preventDefault();
             if (!validateForm(contactForm)) return;
@@ -402,7 +508,10 @@
                 email: contactForm.querySelector('#email')?.value || contactForm.querySelector('[name="email"]')?.value,
                 phone: contactForm.querySelector('#phone')?.value || contactForm.querySelector('[name="phone"]')?.value,
                 subject: contactForm.querySelector('#subject')?.value || contactForm.querySelector('[name="subject"]')?.value,
-                message: contactForm.querySelector('#message')?.value || contactForm.querySelector('[name="message"]')?.value
+                message: contactForm.querySelector('#message')?.value || contactForm.querySelector('[name="message"]')?.value,
+                website: contactForm.querySelector('[name="website"]')?.value || '',
+                form_elapsed: Date.now() - formShownAt,
+                lang: getLang()
             };
 
             try {
@@ -414,8 +523,11 @@
                 const data = await response.json();
                 if (data.success) {
                     contactForm.reset();
+                    formShownAt = Date.now();
                     contactSuccess.style.display = 'block';
                     setTimeout(() => { contactSuccess.style.display = 'none'; }, 5000);
+                } else if (response.status === 429) {
+                    alert(ui('too_many_messages'));
                 } else {
                     alert(data.message || ui('send_error'));
                 }
@@ -428,6 +540,79 @@
         });
     };
 
+    const initMembershipForm = () => {
+        const membershipForm = document.getElementById('membershipForm');
+        const membershipSuccess = document.getElementById('membershipSuccess');
+        if (!membershipForm) return;
+
+        const levelSelect = membershipForm.querySelector('[name="academic_level"]');
+        const wilayaSelect = membershipForm.querySelector('[name="wilaya"]');
+
+        const loadOptions = async () => {
+            try {
+                const response = await fetch(`${API_BASE}/memberships/options`);
+                const data = await response.json();
+                if (!data.success) return;
+
+                const lang = getLang();
+                data.data.academic_levels.forEach(level => {
+                    const option = document.createElement('option');
+                    option.value = level.value;
+                    option.dataset.ar = level.ar;
+                    option.dataset.fr = level.fr;
+                    option.textContent = level[lang] || level.ar;
+                    levelSelect.appendChild(option);
+                });
+                data.data.wilayas.forEach(wilaya => {
+                    const option = document.createElement('option');
+                    option.value = wilaya.name;
+                    option.textContent = `${String(wilaya.code).padStart(2, '0')} - ${wilaya.name}`;
+                    wilayaSelect.appendChild(option);
+                });
+            } catch (error) {
+                console.log('Membership options not available');
+            }
+        };
+
+        membershipForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!validateForm(membershipForm)) return;
+
+            const submitBtn = membershipForm.querySelector('button[type="submit"]');
+            const originalText = submitBtn.textContent;
+            submitBtn.textContent = ui('sending');
+            submitBtn.disabled = true;
+
+            const formData = {};
+            ['full_name', 'email', 'phone', 'university', 'major', 'academic_level', 'wilaya'].forEach(field => {
+                formData[field] = membershipForm.querySelector(`[name="${field}"]`).value;
+            });
+
+            try {
+                const response = await fetch(`${API_BASE}/memberships`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(formData)
+                });
+                const data = await response.json();
+                if (data.success) {
+                    membershipForm.reset();
+                    membershipSuccess.style.display = 'block';
+                    setTimeout(() => { membershipSuccess.style.display = 'none'; }, 8000);
+                } else {
+                    alert(data.message || ui('send_error'));
+                }
+            } catch (error) {
+                alert(ui('send_error'));
+            }
+
+            submitBtn.textContent = originalText;
+            submitBtn.disabled = false;
+        });
+
+        loadOptions();
+    };
+
     const validateForm = (form) => {
         let isValid = true;
         form.querySelectorAll('.form-error').forEach(el => el.remove());
@@ -533,16 +718,117 @@
     const initLoadMore = () => {
         const loadMoreBtn = document.getElementById('loadMore');
         if (!loadMoreBtn) return;
-        loadMoreBtn.addEventListener('click', () => {
+        loadMoreBtn.addEventListener('click', async () => {
             loadMoreBtn.textContent = ui('loading');
             loadMoreBtn.disabled = true;
-            setTimeout(() => {
+            if (!newsState.fromApi || !(await loadNews(true))) {
                 loadMoreBtn.textContent = ui('no_more');
                 loadMoreBtn.style.opacity = '0.5';
-            }, 1000);
+            }
         });
     };
 
+    /** Enable "load more" while the API has news beyond the pages already shown */
+    const updateLoadMore = () => {
+        const loadMoreBtn = document.getElementById('loadMore');
+        if (!loadMoreBtn) return;
+        const hasMore = newsState.page * newsState.pageSize < newsState.total;
+        loadMoreBtn.disabled = !hasMore;
+        loadMoreBtn.textContent = hasMore ? ui('load_more') : ui('no_more');
+        loadMoreBtn.style.opacity = hasMore ? '' : '0.5';
+    };
+
+    // ========================================
+    // Site Search (bilingual)
+    // ========================================
+    const searchState = { query: '', type: 'all' };
+    const SEARCH_TYPE_CLASSES = { news: 'primary', page: 'success', specialty: 'warning' };
+
+    const initSearch = () => {
+        const form = document.getElementById('searchForm');
+        const input = document.getElementById('searchInput');
+        const filter = document.getElementById('searchFilter');
+        if (!form || !input) return;
+
+        const params = new URLSearchParams(window.location.search);
+        searchState.query = (params.get('q') || '').trim();
+        input.value = searchState.query;
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            searchState.query = input.value.trim();
+            history.replaceState(null, '', `?q=${encodeURIComponent(searchState.query)}`);
+            runSearch();
+        });
+
+        if (filter) {
+            filter.querySelectorAll('.filter-tab').forEach(tab => {
+                tab.addEventListener('click', () => {
+                    filter.querySelectorAll('.filter-tab').forEach(t => t.classList.remove('filter-tab--active'));
+                    tab.classList.add('filter-tab--active');
+                    searchState.type = tab.dataset.type;
+                    runSearch();
+                });
+            });
+        }
+
+        runSearch();
+    };
+
+    const runSearch = async () => {
+        const results = document.getElementById('searchResults');
+        const summary = document.getElementById('searchSummary');
+        if (!results || !summary) return;
+
+        if (searchState.query.length < 2) {
+            results.innerHTML = '';
+            summary.textContent = '';
+            return;
+        }
+
+        summary.textContent = ui('loading');
+        try {
+            let url = `${API_BASE}/search?q=${encodeURIComponent(searchState.query)}&lang=${getLang()}`;
+            if (searchState.type !== 'all') url += `&type=${searchState.type}`;
+
+            const response = await fetch(url);
+            const data = await response.json();
+
+            if (!data.success) {
+                summary.textContent = ui('search_none');
+                results.innerHTML = '';
+                return;
+            }
+
+            summary.textContent = data.total > 0 ? `${ui('search_results')}: ${data.total}` : ui('search_none');
+            results.innerHTML = data.data.map(renderSearchResult).join('');
+        } catch (error) {
+            summary.textContent = ui('send_error');
+        }
+    };
+
+    const renderSearchResult = (result) => `
+        <a href="${sanitizeUrl(result.url)}" class="search-result">
+            <div class="search-result__type">
+                <span class="tag tag--${SEARCH_TYPE_CLASSES[result.type] || 'primary'}">${ui('type_' + result.type)}</span>
+            </div>
+            <h3 class="search-result__title">${escapeHtml(result.title)}</h3>
+            <p class="search-result__snippet">${highlightSnippet(result.snippet, result.highlights)}</p>
+        </a>
+    `;
+
+    /** Escape a snippet and wrap the matched ranges sent by the API in <mark> */
+    const highlightSnippet = (snippet, highlights) => {
+        let html = '';
+        let last = 0;
+        (highlights || []).forEach(([start, end]) => {
+            if (start < last) return;
+            html += escapeHtml(snippet.slice(last, start)) + `<mark>${escapeHtml(snippet.slice(start, end))}</mark>`;
+            last = end;
+        });
+        return html + escapeHtml(snippet.slice(last));
+    };
+
     // ========================================
     // Hero Carousel (bilingual)
     // ========================================
@@ -581,7 +867,7 @@
 
                 const title = t(slide, 'title');
                 const subtitle = t(slide, 'subtitle');
-                const btnText = t(slide, 'button_text');
+                const btnText = t(slide, 'link_text');
 
                 slideEl.innerHTML = `
                     ${slide.image_url ? `<img src="${sanitizeUrl(slide.image_url)}" alt="${escapeHtml(title)}" class="hero-carousel__image" loading="${index === 0 ? 'eager' : 'lazy'}">` : ''}
@@ -730,7 +1016,7 @@
                 const name = t(spec, 'name');
                 const desc = t(spec, 'description');
                 const duration = t(spec, 'duration');
-                const items = lang === 'fr' ? (spec.items_fr || []) : (spec.items_ar || []);
+                const items = lang === 'fr' && spec.items_fr && spec.items_fr.length ? spec.items_fr : (spec.items_ar || []);
                 const itemsList = Array.isArray(items) ? items : [];
 
                 card.innerHTML = `
@@ -801,6 +1087,83 @@
         if (window.openVideoModal) window.openVideoModal(url, type);
     }
 
+    // ========================================
+    // Gallery Lightbox (article pages)
+    // ========================================
+    const initGalleryLightbox = () => {
+        const items = Array.from(document.querySelectorAll('[data-gallery] .gallery__item'));
+        if (items.length === 0) return;
+
+        const rtl = document.documentElement.dir === 'rtl';
+        const lightbox = document.createElement('div');
+        lightbox.className = 'lightbox';
+        lightbox.setAttribute('role', 'dialog');
+        lightbox.setAttribute('aria-modal', 'true');
+        lightbox.innerHTML = `
+            <button type="button" class="lightbox__close" aria-label="${ui('close')}">&times;</button>
+            <button type="button" class="lightbox__nav lightbox__nav--prev" aria-label="${ui('previous_image')}">${rtl ? '&#8250;' : '&#8249;'}</button>
+            <figure class="lightbox__figure">
+                <img class="lightbox__image" alt="">
+                <figcaption class="lightbox__caption"></figcaption>
+            </figure>
+            <button type="button" class="lightbox__nav lightbox__nav--next" aria-label="${ui('next_image')}">${rtl ? '&#8249;' : '&#8250;'}</button>
+            <span class="lightbox__counter"></span>
+        `;
+        document.body.appendChild(lightbox);
+
+        const image = lightbox.querySelector('.lightbox__image');
+        const caption = lightbox.querySelector('.lightbox__caption');
+        const counter = lightbox.querySelector('.lightbox__counter');
+        const closeBtn = lightbox.querySelector('.lightbox__close');
+        let current = 0;
+
+        if (items.length === 1) {
+            lightbox.querySelectorAll('.lightbox__nav').forEach(btn => { btn.hidden = true; });
+        }
+
+        const show = (index) => {
+            current = (index + items.length) % items.length;
+            const item = items[current];
+            image.src = item.href;
+            image.alt = item.querySelector('img').alt;
+            caption.textContent = item.dataset.caption || '';
+            counter.textContent = `${current + 1} / ${items.length}`;
+        };
+
+        const open = (index) => {
+            show(index);
+            lightbox.classList.add('lightbox--open');
+            document.body.style.overflow = 'hidden';
+            closeBtn.focus();
+        };
+
+        const close = () => {
+            lightbox.classList.remove('lightbox--open');
+            document.body.style.overflow = '';
+            items[current].focus();
+        };
+
+        items.forEach((item, index) => {
+            item.addEventListener('click', (e) => {
+                e.preventDefault();
+                open(index);
+            });
+        });
+
+        closeBtn.addEventListener('click', close);
+        lightbox.querySelector('.lightbox__nav--prev').addEventListener('click', () => show(current - 1));
+        lightbox.querySelector('.lightbox__nav--next').addEventListener('click', () => show(current + 1));
+        lightbox.addEventListener('click', (e) => { if (e.target === lightbox) close(); });
+
+        document.addEventListener('keydown', (e) => {
+            if (!lightbox.classList.contains('lightbox--open')) return;
+            if (e.key === 'Escape') close();
+            // The arrow pointing to the reading direction goes forward
+            if (e.key === 'ArrowRight') show(current + (rtl ? -1 : 1));
+            if (e.key === 'ArrowLeft') show(current + (rtl ? 1 : -1));
+        });
+    };
+
     // ========================================
     // AOS
     // ========================================
@@ -816,7 +1179,22 @@
     // ========================================
     // Initialize Everything
     // ========================================
+    /**
+     * Static pages are the same file in both languages: a link with ?lang=
+     * (the French URLs of the sitemap) sets the visitor's language
+     */
+    const adoptUrlLanguage = () => {
+        const lang = new URLSearchParams(window.location.search).get('lang');
+        if (SUPPORTED_LANGS.includes(lang)) localStorage.setItem('lang', lang);
+    };
+
     const init = () => {
+        if (detectCurrentPage() === 'article') {
+            if (syncArticleLanguage(true)) return;
+        } else {
+            adoptUrlLanguage();
+        }
+
         // Apply stored language first
         const lang = getLang();
         document.documentElement.lang = lang;
@@ -828,6 +1206,7 @@
         initAccordions();
         initNewsFilter();
         initForms();
+        initMembershipForm();
         initSmoothScroll();
         initHeaderScroll();
         initLoadMore();
@@ -846,6 +1225,8 @@
         }
         if (currentPage === 'news') loadNews();
         if (currentPage === 'programs') initSpecialties();
+        if (currentPage === 'search') initSearch();
+        if (currentPage === 'article') initGalleryLightbox();
         if (currentPage === 'guide') loadPageContent('guide');
         if (currentPage === 'services') loadPageContent('services');
         if (currentPage === 'contact') loadPageContent('contact');
@@ -861,12 +1242,14 @@
     const detectCurrentPage = () => {
         const path = window.location.pathname;
         if (path === '/' || path === '/index.html') return 'home';
+        if (path.startsWith('/news/')) return 'article';
         if (path.includes('about')) return 'about';
         if (path.includes('news')) return 'news';
         if (path.includes('guide')) return 'guide';
         if (path.includes('programs')) return 'programs';
         if (path.includes('services')) return 'services';
         if (path.includes('contact')) return 'contact';
+        if (path.includes('search')) return 'search';
         return 'home';
     };
 